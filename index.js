@@ -1,8 +1,68 @@
 #!/usr/bin/env node
+const fs = require('fs')
 const config = require('./lib/config')
 const logger = require('./lib/logs')
 const MqttClient = require('./lib/mqtt')
 const NetatmoClient = require('./lib/netatmo')
+const { authorize } = require('./lib/auth')
+const { FileTokenStore, MqttTokenStore } = require('./lib/token')
+const StateStore = require('./lib/state')
+const Backfill = require('./lib/backfill')
+const EventTracker = require('./lib/events')
+const { exportMeasures } = require('./lib/export')
+const HttpServer = require('./lib/server')
+const Metrics = require('./lib/metrics')
+const BridgeStatus = require('./lib/status')
+const PollSupervisor = require('./lib/supervisor')
+const { AlertEngine } = require('./lib/alerts')
+const { eventEmitter } = require('./lib/utils')
+
+/**
+ * MQTT connection options of the configuration.
+ */
+function mqttConnectionOptions () {
+  return {
+    ca: config.mqttCa,
+    cert: config.mqttCert,
+    key: config.mqttKey,
+    passphrase: config.mqttKeyPassphrase,
+    username: config.mqttUsername,
+    password: config.mqttPassword,
+    passwordFile: config.mqttPasswordFile,
+    clientId: config.mqttClientId,
+    keepalive: config.mqttKeepalive,
+    clean: config.mqttClean,
+    reconnectPeriod: config.mqttReconnectPeriod,
+    protocolVersion: config.mqttProtocolVersion,
+    messageExpiry: config.mqttMessageExpiry
+  }
+}
+
+/**
+ * Create the configured token store.
+ * @param mqtt Connected mqtt client
+ */
+function createTokenStore (mqtt) {
+  if (config.tokenStore === 'mqtt') {
+    return new MqttTokenStore(mqtt)
+  }
+  return new FileTokenStore(config.tokenFile)
+}
+
+/**
+ * Save Netatmo tokens each time they are refreshed.
+ * @param tokenStore
+ */
+function saveRotatedTokens (tokenStore) {
+  eventEmitter.on('token', async (newToken) => {
+    try {
+      await tokenStore.save(newToken)
+      logger.debug('Netatmo token saved')
+    } catch (e) {
+      logger.warn(`Unable to save Netatmo token (${e.message})`)
+    }
+  })
+}
 
 /**
  * Main function.
@@ -11,17 +71,156 @@ async function main () {
   logger.info('Starting netatmo API')
   logger.debug(JSON.stringify(config))
   try {
+    // State kept across restarts
+    const state = new StateStore(config.stateFile)
+    await state.load()
+    process.on('SIGTERM', () => state.save())
+    process.on('SIGINT', () => state.save())
     // mqtt Client
-    const mqtt = new MqttClient(config.mqttUrl, config.mqttTopic, config.sslVerify)
+    const mqtt = new MqttClient(config.mqttUrl, config.mqttTopic, config.sslVerify, {
+      ...mqttConnectionOptions(),
+      output: config.output,
+      flatRetain: config.flatRetain,
+      flatQos: config.flatQos,
+      frameRetain: config.frameRetain,
+      frameQos: config.frameQos,
+      statusRetain: config.statusRetain,
+      statusQos: config.statusQos,
+      alertRetain: config.alertRetain,
+      alertQos: config.alertQos,
+      eventRetain: config.eventRetain,
+      eventQos: config.eventQos,
+      clearRetained: config.clearRetained,
+      onlyChanges: config.onlyChanges,
+      deadbands: config.deadband,
+      heartbeat: config.heartbeat,
+      commands: config.commands,
+      energy: config.energy,
+      queueSize: config.queueSize,
+      queueMaxAge: config.queueMaxAge,
+      queueFile: config.queueFile,
+      haDiscovery: config.haDiscovery,
+      haPrefix: config.haPrefix,
+      state
+    })
     await mqtt.connect()
+    // Token store
+    const tokenStore = createTokenStore(mqtt)
+    const token = await tokenStore.load()
+    saveRotatedTokens(tokenStore)
     // Netatmo Client
-    const netatmo = new NetatmoClient(config.clientId, config.clientSecret, config.username, config.password)
-    await netatmo.startPolling()
+    const netatmo = new NetatmoClient(config.clientId, config.clientSecret, config.username, config.password, {}, {
+      retries: config.apiRetries,
+      units: { temperature: config.temperatureUnit, pressure: config.pressureUnit, wind: config.windUnit, rain: config.rainUnit },
+      derived: config.derived,
+      energy: config.energy,
+      security: config.security,
+      state
+    })
+    // Escalation of failing polls
+    new PollSupervisor(netatmo, { reauthAfter: config.reauthAfter, exitAfter: config.exitAfter }).start()
+    // Alerts
+    new AlertEngine(config.alerts).start()
+    // Status
+    const status = new BridgeStatus(netatmo, config.healthThreshold, config.pollInterval)
+    status.start()
+    // HTTP server
+    if (config.httpPort) {
+      const server = new HttpServer(config.httpPort, config.httpHost)
+      const metrics = new Metrics(netatmo)
+      metrics.start()
+      server.route('/metrics', () => metrics.render())
+      server.route('/healthz', () => status.health())
+      await server.start()
+      process.on('SIGTERM', () => server.stop())
+      process.on('SIGINT', () => server.stop())
+    }
+    // Backfill of missed measures
+    if (config.backfill) {
+      new Backfill(netatmo, state, config.backfillMaxAge).start()
+    }
+    // Camera and doorbell events published once
+    if (config.security) {
+      new EventTracker(state).start()
+    }
+    await netatmo.startPolling(token, { mode: config.pollMode, interval: config.pollInterval })
   } catch (e) {
     logger.error('Unable to run => See errors below')
     logger.error(e)
     process.exit(1)
   }
 }
+
+/**
+ * Authorization function.
+ */
+async function auth () {
+  try {
+    let mqtt = null
+    if (config.tokenStore === 'mqtt') {
+      mqtt = new MqttClient(config.mqttUrl, config.mqttTopic, config.sslVerify, { ...mqttConnectionOptions(), oneShot: true })
+      await mqtt.connect()
+    }
+    const netatmo = new NetatmoClient(config.clientId, config.clientSecret, undefined, undefined, {}, { energy: config.energy, security: config.security })
+    const tokenStore = createTokenStore(mqtt)
+    await authorize(netatmo, config.authPort, config.redirectUri)
+    await tokenStore.save({
+      accessToken: netatmo.accessToken,
+      refreshToken: netatmo.refreshToken,
+      expiresInTimestamp: netatmo.expiresInTimestamp
+    })
+    console.log('Token saved')
+    if (mqtt) {
+      await mqtt.disconnect()
+    }
+  } catch (e) {
+    logger.error('Unable to authorize => See errors below')
+    logger.error(e)
+    process.exit(1)
+  }
+}
+/**
+ * Export function.
+ */
+async function exportData () {
+  try {
+    let mqtt = null
+    if (config.tokenStore === 'mqtt') {
+      mqtt = new MqttClient(config.mqttUrl, config.mqttTopic, config.sslVerify, { ...mqttConnectionOptions(), oneShot: true })
+      await mqtt.connect()
+    }
+    const tokenStore = createTokenStore(mqtt)
+    const token = await tokenStore.load()
+    saveRotatedTokens(tokenStore)
+    const netatmo = new NetatmoClient(config.clientId, config.clientSecret, config.username, config.password, {}, { retries: config.apiRetries })
+    await netatmo.connect(token.accessToken, token.refreshToken, token.expiresInTimestamp)
+    let output = process.stdout
+    if (config.out) {
+      output = fs.createWriteStream(config.out)
+      await new Promise((resolve, reject) => output.once('open', resolve).once('error', reject))
+    }
+    const count = await exportMeasures(netatmo, config, output)
+    if (config.out) {
+      await new Promise((resolve, reject) => output.end((e) => e ? reject(e) : resolve()))
+    }
+    logger.info(`${count} measures exported`)
+    if (mqtt) {
+      await mqtt.disconnect()
+    }
+  } catch (e) {
+    logger.error('Unable to export => See errors below')
+    logger.error(e)
+    process.exit(1)
+  }
+}
 // Call the main code
-main()
+switch (config._[0]) {
+  case 'auth':
+    auth()
+    break
+  case 'export':
+    exportData()
+    break
+  default:
+    main()
+}
@@ -0,0 +1,137 @@
+const { eventEmitter } = require('./utils')
+
+/**
+ * Check and complete alert rules
+ *
+ * @param {Array} rules Alert rules (`key`, `above` or `below` threshold, optional `name`, `device` id or name, `type`,
+ * `hysteresis`, `duration` and `clearDuration` in seconds)
+ * @return {Array} Rules with their defaults
+ */
+function parseRules (rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error('expected a list of rules')
+  }
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule.key !== 'string') {
+      throw new Error(`rule ${i + 1} has no key`)
+    }
+    const thresholds = ['above', 'below'].filter((direction) => rule[direction] !== undefined)
+    if (thresholds.length !== 1 || typeof rule[thresholds[0]] !== 'number') {
+      throw new Error(`rule ${i + 1} needs a number above or below`)
+    }
+    for (const name of ['hysteresis', 'duration', 'clearDuration']) {
+      if (rule[name] !== undefined && !(rule[name] >= 0)) {
+        throw new Error(`rule ${i + 1} ${name}: ${rule[name]} (expected a positive number)`)
+      }
+    }
+    const duration = rule.duration || 0
+    return {
+      name: rule.name || rule.key,
+      device: rule.device,
+      type: rule.type,
+      key: rule.key,
+      above: rule.above,
+      below: rule.below,
+      hysteresis: rule.hysteresis || 0,
+      duration,
+      clearDuration: rule.clearDuration !== undefined ? rule.clearDuration : duration
+    }
+  })
+}
+
+class AlertEngine {
+  /**
+   * Create an engine raising and clearing alerts on frame values
+   *
+   * @param {Array} rules Alert rules, see parseRules
+   */
+  constructor (rules = []) {
+    this.rules = parseRules(rules)
+    // alert state (`active`, `since` time the condition to change is met) by rule index and device id
+    this.states = new Map()
+  }
+
+  /**
+   * Listen to polled frames
+   */
+  start () {
+    eventEmitter.on('frame', (frame) => this.check(frame))
+  }
+
+  /**
+   * Check a frame against the rules, and emit the raised and cleared alerts
+   *
+   * @param {object} frame Polled frame
+   * @param {number} now Current time (Unix time)
+   */
+  check (frame, now = Math.floor(Date.now() / 1000)) {
+    this.rules.forEach((rule, index) => {
+      const value = frame[rule.key]
+      if (!this.matches(rule, frame) || typeof value !== 'number') {
+        return
+      }
+      const stateKey = `${index}/${frame.id}`
+      const state = this.states.get(stateKey) || { active: false, since: null }
+      this.states.set(stateKey, state)
+      if (!(state.active ? this.isCleared(rule, value) : this.isRaised(rule, value))) {
+        state.since = null
+        return
+      }
+      if (state.since === null) {
+        state.since = now
+      }
+      if (now - state.since < (state.active ? rule.clearDuration : rule.duration)) {
+        return
+      }
+      state.active = !state.active
+      state.since = null
+      eventEmitter.emit('alert', {
+        rule: rule.name,
+        event: state.active ? 'raise' : 'clear',
+        id: frame.id,
+        name: frame.name,
+        type: frame.type,
+        home: frame.home,
+        key: rule.key,
+        value,
+        threshold: rule.above !== undefined ? rule.above : rule.below,
+        time: now
+      })
+    })
+  }
+
+  /**
+   * Check if a rule applies to a device
+   *
+   * @param {object} rule Alert rule
+   * @param {object} frame Polled frame
+   * @return {boolean}
+   */
+  matches (rule, frame) {
+    return (!rule.device || rule.device === frame.id || rule.device === frame.name) && (!rule.type || rule.type === frame.type)
+  }
+
+  /**
+   * Check if a value crosses the threshold of a rule
+   *
+   * @param {object} rule Alert rule
+   * @param {number} value Frame value
+   * @return {boolean}
+   */
+  isRaised (rule, value) {
+    return rule.above !== undefined ? value > rule.above : value < rule.below
+  }
+
+  /**
+   * Check if a value is back beyond the threshold and hysteresis of a rule
+   *
+   * @param {object} rule Alert rule
+   * @param {number} value Frame value
+   * @return {boolean}
+   */
+  isCleared (rule, value) {
+    return rule.above !== undefined ? value <= rule.above - rule.hysteresis : value >= rule.below + rule.hysteresis
+  }
+}
+
+module.exports = { AlertEngine, parseRules }
@@ -0,0 +1,65 @@
+const crypto = require('crypto')
+const http = require('http')
+
+// private constants
+const AUTH_TIMEOUT = 300000
+
+/**
+ * Run the OAuth2 authorization code flow with a local callback server
+ *
+ * @param {NetatmoClient} netatmo Netatmo client to authenticate
+ * @param {number} port Port of the local callback server
+ * @param {string} redirectUri Redirect URI registered for the app (default http://localhost:<port>/callback)
+ */
+async function authorize (netatmo, port, redirectUri) {
+  const callbackUri = redirectUri || `http://localhost:${port}/callback`
+  const callbackPath = new URL(callbackUri).pathname
+  const state = crypto.randomBytes(16).toString('hex')
+
+  const code = await new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, callbackUri)
+      if (url.pathname !== callbackPath) {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+      const finish = (status, message, err, result) => {
+        res.writeHead(status, { 'Content-Type': 'text/plain', Connection: 'close' })
+        res.end(message)
+        clearTimeout(timer)
+        server.close()
+        if (err) {
+          reject(err)
+        } else {
+          resolve(result)
+        }
+      }
+      if (url.searchParams.get('state') !== state) {
+        finish(400, 'Invalid state, please restart the authorization.', new Error('Authorization failed: state mismatch'))
+        return
+      }
+      if (url.searchParams.get('error')) {
+        finish(400, 'Authorization refused.', new Error(`Authorization failed: ${url.searchParams.get('error')}`))
+        return
+      }
+      finish(200, 'Authorization received, you can close this window.', null, url.searchParams.get('code'))
+    })
+    const timer = setTimeout(() => {
+      server.close()
+      reject(new Error('Authorization failed: no response received in time'))
+    }, AUTH_TIMEOUT)
+    server.on('error', (e) => {
+      clearTimeout(timer)
+      reject(new Error(`Authorization failed: ${e.message}`))
+    })
+    server.listen(port, () => {
+      // printed whatever the log level, the user has to open it
+      console.log(`Open this URL in your browser to authorize the app:\n${netatmo.getAuthorizeUrl(callbackUri, state)}`)
+    })
+  })
+
+  await netatmo.authenticateByAuthorizationCode(code, callbackUri)
+}
+
+module.exports = { authorize }
@@ -0,0 +1,145 @@
+const logger = require('./logs')
+const { eventEmitter } = require('./utils')
+const { normalizeMeasure } = require('./measure')
+
+// private constants
+const MEASURE_TYPES = {
+  NAMain: ['temperature', 'humidity', 'co2', 'pressure', 'noise'],
+  NAModule1: ['temperature', 'humidity'],
+  NAModule2: ['windstrength', 'windangle', 'guststrength', 'gustangle'],
+  NAModule3: ['rain'],
+  NAModule4: ['temperature', 'humidity', 'co2'],
+  NHC: ['temperature', 'humidity', 'co2', 'pressure', 'noise', 'health_idx']
+}
+const GAP = 900 // More than one missed upload (every 10 minutes)
+const MAX_POINTS = 1024
+const REQUEST_DELAY = 8000 // Below the 500 requests per hour limit, with room for polling
+const STATE_KEY = 'lastPublished'
+const IDENTITY_KEYS = ['id', 'name', 'type', 'home', 'module']
+
+class Backfill {
+  /**
+   * Create a backfill of the measures missed while frames were not published
+   *
+   * @param {NetatmoClient} netatmo Netatmo client
+   * @param {StateStore} state Store of the last published measure time of each device
+   * @param {number} maxAge Maximal age of backfilled measures (hours)
+   */
+  constructor (netatmo, state, maxAge = 24) {
+    if (!netatmo || !state) {
+      throw new Error('Netatmo client and state store must be provided')
+    }
+    this.netatmo = netatmo
+    this.state = state
+    this.maxAge = maxAge
+    this.queue = []
+    this.running = null
+    this.lastRequest = 0
+  }
+
+  /**
+   * Listen to polled and published frames
+   */
+  start () {
+    // Check before the frame is published and becomes the last published one
+    eventEmitter.prependListener('frame', this.check.bind(this))
+    eventEmitter.on('published', this.setPublished.bind(this))
+  }
+
+  /**
+   * Remember the last published measure time of a device
+   *
+   * @param {object} frame Published frame
+   */
+  setPublished (frame) {
+    const lastPublished = this.state.get(STATE_KEY, {})
+    if (frame.timeutc && !(lastPublished[frame.id] >= frame.timeutc)) {
+      this.state.set(STATE_KEY, { ...lastPublished, [frame.id]: frame.timeutc })
+    }
+  }
+
+  /**
+   * Queue a backfill if measures were missed before this frame
+   *
+   * @param {object} frame Polled frame
+   */
+  check (frame) {
+    const last = this.state.get(STATE_KEY, {})[frame.id]
+    if (!last || !frame.timeutc || frame.timeutc - last <= GAP) {
+      return
+    }
+    const device = this.netatmo.devices.get(frame.id)
+    const types = device && MEASURE_TYPES[device.type]
+    if (!types) {
+      return
+    }
+    const identity = {}
+    for (const key of IDENTITY_KEYS) {
+      if (frame[key] !== undefined) {
+        identity[key] = frame[key]
+      }
+    }
+    const begin = Math.max(last + 1, frame.timeutc - this.maxAge * 3600)
+    logger.info(`Measures of ${frame.id} missing since ${new Date(last * 1000).toISOString()}, backfill queued`)
+    this.queue.push({ identity, device, types, begin, end: frame.timeutc - 1 })
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null
+      })
+    }
+  }
+
+  /**
+   * Run queued backfills one after the other
+   */
+  async run () {
+    while (this.queue.length) {
+      const job = this.queue.shift()
+      try {
+        await this.backfill(job)
+      } catch (e) {
+        logger.warn(`Unable to backfill measures of ${job.identity.id} (${e.message})`)
+      }
+    }
+  }
+
+  /**
+   * Publish the measures of a missed interval, page by page
+   *
+   * @param {object} job Device, measure types and interval to backfill
+   */
+  async backfill (job) {
+    const { identity, device, types, end } = job
+    let begin = job.begin
+    let count = 0
+    while (begin <= end) {
+      await this.throttle()
+      const body = await this.netatmo.getMeasure(device.deviceId, device.moduleId, 'max', types.join(','), begin, end, MAX_POINTS)
+      const points = normalizeMeasure(body, types)
+      for (const point of points) {
+        if (point.timeutc >= begin && point.timeutc <= end) {
+          eventEmitter.emit('backfill', { ...this.netatmo.units.convert(point), ...identity })
+          count++
+        }
+      }
+      if (points.length < MAX_POINTS) {
+        break
+      }
+      begin = points[points.length - 1].timeutc + 1
+    }
+    logger.info(`${count} measures of ${identity.id} backfilled`)
+  }
+
+  /**
+   * Wait to respect Netatmo API request limits
+   */
+  async throttle () {
+    const wait = this.lastRequest + REQUEST_DELAY - Date.now()
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait))
+    }
+    this.lastRequest = Date.now()
+  }
+}
+
+module.exports = Backfill
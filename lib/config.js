@@ -1,21 +1,244 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const yaml = require('yaml')
 const yargs = require('yargs')
+const { SCALES } = require('./measure')
+const { UNITS } = require('./units')
+const { DERIVED } = require('./derived')
+const { parseRules } = require('./alerts')
 
-const config = yargs
-  .usage('Usage: $0 [options]')
-  .describe('a', 'Netatmo Dev username')
-  .describe('b', 'Netatmo Dev password')
+// private constants
+const ENV_PREFIX = 'MQTT4NETATMO'
+const MQTT_PROTOCOLS = ['mqtt:', 'mqtts:', 'ws:', 'wss:', 'tcp:', 'ssl:']
+
+/**
+ * Environment variable name of an option.
+ * @param option
+ * @returns {string}
+ */
+function envName (option) {
+  return `${ENV_PREFIX}_${option.replace(/([A-Z])/g, '_$1').toUpperCase()}`
+}
+
+/**
+ * Read MQTT4NETATMO_*_FILE variables (docker / kubernetes secrets) into MQTT4NETATMO_* variables.
+ * A variable set directly is kept, options ending with File (tokenFile, stateFile...) are not secret files.
+ * @param options Names and aliases of the options
+ * @returns {Array} Errors reading the files
+ */
+function readEnvFiles (options) {
+  const errors = []
+  const names = new Set(options.map(envName))
+  for (const [name, file] of Object.entries(process.env)) {
+    if (!name.startsWith(`${ENV_PREFIX}_`) || !name.endsWith('_FILE')) {
+      continue
+    }
+    const target = name.slice(0, -'_FILE'.length)
+    if (names.has(name) || !names.has(target)) {
+      continue
+    }
+    // not an option
+    delete process.env[name]
+    if (process.env[target] !== undefined) {
+      continue
+    }
+    try {
+      process.env[target] = fs.readFileSync(file, 'utf8').trim()
+    } catch (e) {
+      errors.push(`Unable to read ${name} secret file ${file} (${e.message})`)
+    }
+  }
+  return errors
+}
+
+/**
+ * Parse a YAML or JSON configuration file (JSON is valid YAML).
+ * @param configPath
+ * @returns {object}
+ */
+function parseConfigFile (configPath) {
+  let content
+  try {
+    content = fs.readFileSync(configPath, 'utf8')
+  } catch (e) {
+    throw new Error(`Unable to read config file ${configPath} (${e.message})`)
+  }
+  try {
+    return yaml.parse(content) || {}
+  } catch (e) {
+    throw new Error(`Invalid config file ${configPath} (${e.message})`)
+  }
+}
+
+/**
+ * Validate configuration values.
+ * @param argv
+ * @returns {boolean}
+ */
+function validate (argv) {
+  if (envErrors.length) {
+    throw new Error(envErrors.join('\n'))
+  }
+  let url
+  try {
+    url = new URL(argv.mqttUrl)
+  } catch (e) {
+    throw new Error(`Invalid mqttUrl: ${argv.mqttUrl}`)
+  }
+  if (!MQTT_PROTOCOLS.includes(url.protocol)) {
+    throw new Error(`Invalid mqttUrl protocol: ${url.protocol} (expected ${MQTT_PROTOCOLS.join(' ')})`)
+  }
+  if (!argv.mqttTopic || /[#+]/.test(argv.mqttTopic)) {
+    throw new Error(`Invalid mqttTopic: ${argv.mqttTopic}`)
+  }
+  if (!(argv.pollInterval > 0)) {
+    throw new Error(`Invalid pollInterval: ${argv.pollInterval} (expected a number of seconds greater than 0)`)
+  }
+  if (!(argv.backfillMaxAge > 0)) {
+    throw new Error(`Invalid backfillMaxAge: ${argv.backfillMaxAge} (expected a number of hours greater than 0)`)
+  }
+  for (const name of ['mqttKeepalive', 'mqttReconnectPeriod', 'mqttMessageExpiry']) {
+    if (argv[name] !== undefined && !(argv[name] >= 0)) {
+      throw new Error(`Invalid ${name}: ${argv[name]} (expected a number of seconds)`)
+    }
+  }
+  if (!(argv.queueSize >= 0)) {
+    throw new Error(`Invalid queueSize: ${argv.queueSize} (expected a number of messages)`)
+  }
+  if (!(argv.queueMaxAge > 0)) {
+    throw new Error(`Invalid queueMaxAge: ${argv.queueMaxAge} (expected a number of hours greater than 0)`)
+  }
+  if (!(argv.heartbeat >= 0)) {
+    throw new Error(`Invalid heartbeat: ${argv.heartbeat} (expected a number of minutes)`)
+  }
+  for (const name of ['reauthAfter', 'exitAfter']) {
+    if (!(argv[name] >= 0)) {
+      throw new Error(`Invalid ${name}: ${argv[name]} (expected a number of polls)`)
+    }
+  }
+  if (!(argv.apiRetries >= 0)) {
+    throw new Error(`Invalid apiRetries: ${argv.apiRetries} (expected a number of retries)`)
+  }
+  if (!(argv.authPort > 0 && argv.authPort < 65536)) {
+    throw new Error(`Invalid authPort: ${argv.authPort}`)
+  }
+  if (!(argv.healthThreshold > 0)) {
+    throw new Error(`Invalid healthThreshold: ${argv.healthThreshold} (expected a number of minutes greater than 0)`)
+  }
+  if (argv.httpPort !== undefined && !(argv.httpPort > 0 && argv.httpPort < 65536)) {
+    throw new Error(`Invalid httpPort: ${argv.httpPort}`)
+  }
+  if (typeof argv.deadband !== 'object') {
+    throw new Error('Invalid deadband: expected values by name, example: --deadband.temperature 0.1')
+  }
+  for (const [key, value] of Object.entries(argv.deadband)) {
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(`Invalid deadband.${key}: ${value} (expected a positive number)`)
+    }
+  }
+  try {
+    parseRules(argv.alerts)
+  } catch (e) {
+    throw new Error(`Invalid alerts: ${e.message}`)
+  }
+  return true
+}
+
+const parser = yargs
+  .usage('Usage: $0 [command] [options]')
+  .epilogue(`Options can also be set in a YAML or JSON config file (--config) and with ${ENV_PREFIX}_<OPTION> environment variables (${ENV_PREFIX}_<OPTION>_FILE to read a secret file). Precedence: command line, environment, config file, defaults.`)
+  .command('$0', 'Publish Netatmo values to MQTT')
+  .command('auth', 'Authorize the app on your Netatmo account and save the token')
+  .command('export', 'Export historical measures of a device', (y) => y
+    .describe('device', 'station, HomeCoach or module name or mac address')
+    .describe('module', 'module name or mac address, when device is a station')
+    .describe('types', 'measures, comma separated (example: temperature,min_temp)')
+    .describe('scale', 'time between two measures')
+    .describe('from', 'first measure date (Unix time or date string)')
+    .describe('to', 'last measure date (default: now)')
+    .describe('format', 'output format')
+    .describe('out', 'output file (default: standard output)')
+    .string(['device', 'module', 'types', 'from', 'to', 'out'])
+    .choices('scale', SCALES)
+    .choices('format', ['csv', 'ndjson', 'json'])
+    .default({ scale: '1day', format: 'csv' })
+    .demandOption(['device', 'types']))
+  .describe('a', 'Netatmo Dev username (deprecated password grant)')
+  .describe('b', 'Netatmo Dev password (deprecated password grant)')
   .describe('c', 'Netatmo app Client ID')
   .describe('d', 'Netatmo app Client Secret')
+  .describe('k', 'Netatmo token file')
+  .describe('tokenStore', 'where the Netatmo token is saved: file, or mqtt for the retained <prefix>/token topic')
+  .describe('p', 'port of the local server receiving the authorization')
+  .describe('r', 'redirect URI of the app (default: http://localhost:<port>/callback)')
+  .describe('stateFile', 'file keeping the bridge state across restarts')
+  .describe('backfill', 'republish on <prefix>/backfill/<id> the measures missed while frames were not published')
+  .describe('backfillMaxAge', 'maximal age of backfilled measures (hours)')
+  .describe('pollMode', 'fixed interval, or adaptive to poll after the devices uploads')
+  .describe('pollInterval', 'seconds between polls (minimum in adaptive mode)')
+  .describe('energy', 'poll Netatmo Energy thermostats, valves and rooms')
+  .describe('security', 'poll Netatmo cameras, doorbells, alarms and door tags, and publish their events on <prefix>/events')
+  .describe('apiRetries', 'retries of Netatmo API requests failing with a temporary error')
+  .describe('reauthAfter', 'authenticate again after reauthAfter consecutive failed polls (0: never)')
+  .describe('exitAfter', 'exit with an error once every polled source failed exitAfter consecutive polls (0: never)')
   .describe('u', 'mqtt broker url')
   .describe('t', 'mqtt topic prefix')
-  .describe('v', 'possible values: error, warn, info, debug')
-  .describe('s', 'allow ssl connections with invalid certs')
+  .describe('v', 'log verbosity')
+  .describe('s', 'allow ssl connections with invalid certs (no certificate verification)')
+  .describe('mqttCa', 'CA certificate file of the broker')
+  .describe('mqttCert', 'client certificate file')
+  .describe('mqttKey', 'client private key file')
+  .describe('mqttKeyPassphrase', 'passphrase of the client private key')
+  .describe('mqttUsername', 'mqtt username (default: from the broker url)')
+  .describe('mqttPassword', 'mqtt password (default: from the broker url)')
+  .describe('mqttPasswordFile', 'file containing the mqtt password')
+  .describe('mqttClientId', 'mqtt client id (default: <prefix>_<random>)')
+  .describe('mqttKeepalive', 'mqtt keepalive (seconds)')
+  .describe('mqttClean', 'mqtt clean session (--no-mqttClean to resume the session)')
+  .describe('mqttReconnectPeriod', 'seconds between reconnection attempts (0: no reconnection)')
+  .describe('mqttProtocolVersion', 'mqtt protocol version (3: 3.1, 4: 3.1.1, 5: 5.0)')
+  .describe('mqttMessageExpiry', 'with mqtt 5, seconds before published values expire (0: never)')
+  .describe('temperatureUnit', 'unit of temperatures (auto: Netatmo account preference)')
+  .describe('pressureUnit', 'unit of pressures (auto: Netatmo account preference)')
+  .describe('windUnit', 'unit of wind speeds (auto: Netatmo account preference)')
+  .describe('rainUnit', 'unit of rain (auto: Netatmo account preference)')
+  .describe('derived', 'derived metrics added to frames, example: --derived dewpoint feelslike')
+  .describe('output', 'publish frames as json, one value per subtopic (flat) or both')
+  .describe('flatRetain', 'retain the values published on subtopics')
+  .describe('flatQos', 'QoS of the values published on subtopics')
+  .describe('frameRetain', 'retain the json frames (--no-frameRetain to disable)')
+  .describe('frameQos', 'QoS of the json frames')
+  .describe('statusRetain', 'retain the bridge status (--no-statusRetain to disable)')
+  .describe('statusQos', 'QoS of the bridge status')
+  .describe('alertRetain', 'retain the alerts')
+  .describe('alertQos', 'QoS of the alerts')
+  .describe('eventRetain', 'retain the security events')
+  .describe('eventQos', 'QoS of the security events')
+  .describe('clearRetained', 'clear the retained topics of devices removed from the account')
+  .describe('queueSize', 'messages kept while the broker is not reachable, the oldest are dropped (0: none)')
+  .describe('queueMaxAge', 'maximal age of the messages kept while the broker is not reachable (hours)')
+  .describe('queueFile', 'file keeping the messages not published yet across restarts (default: none)')
+  .describe('onlyChanges', 'publish frames only when a value changed')
+  .describe('deadband', 'ignored change of a value, example: --deadband.temperature 0.1')
+  .describe('heartbeat', 'with onlyChanges, publish frames at least every heartbeat minutes (0: never)')
+  .describe('commands', 'subscribe to the <prefix>/cmd/<command> topics, and the Energy set topics with --energy (--no-commands to disable)')
+  .describe('alerts', 'alert rules on frame values, published on <prefix>/alerts (in the config file)')
+  .describe('haDiscovery', 'publish Home Assistant mqtt discovery')
+  .describe('haPrefix', 'Home Assistant discovery topic prefix')
+  .describe('httpPort', 'port of the HTTP server exposing Prometheus /metrics and /healthz (default: disabled)')
+  .describe('httpHost', 'listening address of the HTTP server (default: all interfaces)')
+  .describe('healthThreshold', '/healthz fails when polls have been failing, or no poll succeeded, for more than healthThreshold minutes')
   .describe('z', 'log with no color')
+  .config('config', 'YAML or JSON config file', parseConfigFile)
   .alias({
     a: 'username',
     b: 'password',
     c: 'clientId',
     d: 'clientSecret',
+    k: 'tokenFile',
+    p: 'authPort',
+    r: 'redirectUri',
     u: 'mqttUrl',
     t: 'mqttTopic',
     v: 'logVerbosity',
@@ -23,13 +246,99 @@ const config = yargs
     h: 'help',
     z: 'noColor'
   })
-  .demandOption(['username', 'password', 'clientId', 'clientSecret'])
+  .demandOption(['clientId', 'clientSecret'])
   .boolean('ssl-verify')
+  .string(['mqttCa', 'mqttCert', 'mqttKey', 'mqttKeyPassphrase', 'mqttUsername', 'mqttPassword', 'mqttPasswordFile', 'mqttClientId'])
+  .number('mqttKeepalive')
+  .number('mqttReconnectPeriod')
+  .choices('mqttProtocolVersion', [3, 4, 5])
+  .number('mqttProtocolVersion')
+  .number('mqttMessageExpiry')
+  .boolean('mqttClean')
+  .boolean('haDiscovery')
+  .boolean('flatRetain')
+  .boolean('onlyChanges')
+  .number('queueSize')
+  .number('queueMaxAge')
+  .string('queueFile')
+  .boolean('commands')
+  .number('heartbeat')
+  .choices('output', ['json', 'flat', 'both'])
+  .choices('temperatureUnit', UNITS.temperature)
+  .choices('pressureUnit', UNITS.pressure)
+  .choices('windUnit', UNITS.wind)
+  .choices('rainUnit', UNITS.rain)
+  .array('derived')
+  .choices('derived', DERIVED)
+  .choices('flatQos', [0, 1, 2])
+  .number('flatQos')
+  .boolean(['frameRetain', 'statusRetain', 'alertRetain', 'eventRetain', 'clearRetained'])
+  .choices('frameQos', [0, 1, 2])
+  .number('frameQos')
+  .choices('statusQos', [0, 1, 2])
+  .number('statusQos')
+  .choices('alertQos', [0, 1, 2])
+  .number('alertQos')
+  .choices('eventQos', [0, 1, 2])
+  .number('eventQos')
+  .number('p')
+  .choices('tokenStore', ['file', 'mqtt'])
+  .choices('pollMode', ['fixed', 'adaptive'])
+  .number('pollInterval')
+  .boolean('energy')
+  .boolean('security')
+  .number('apiRetries')
+  .number('reauthAfter')
+  .number('exitAfter')
+  .boolean('backfill')
+  .number('backfillMaxAge')
+  .number('httpPort')
+  .string('httpHost')
+  .number('healthThreshold')
+  .choices('v', ['error', 'warn', 'info', 'debug'])
   .default({
+    k: path.join(os.homedir(), '.mqtt4netatmo', 'token.json'),
+    p: 8080,
+    tokenStore: 'file',
+    stateFile: path.join(os.homedir(), '.mqtt4netatmo', 'state.json'),
+    backfillMaxAge: 24,
+    pollMode: 'fixed',
+    pollInterval: 60,
+    apiRetries: 3,
+    reauthAfter: 3,
+    exitAfter: 10,
     u: 'mqtt://127.0.0.1',
     t: 'netatmo',
+    mqttKeepalive: 60,
+    mqttClean: true,
+    mqttReconnectPeriod: 1,
+    mqttProtocolVersion: 4,
+    mqttMessageExpiry: 3600,
+    temperatureUnit: 'C',
+    pressureUnit: 'mbar',
+    windUnit: 'kmh',
+    rainUnit: 'mm',
+    derived: [],
+    output: 'json',
+    flatQos: 0,
+    frameRetain: true,
+    frameQos: 0,
+    statusRetain: true,
+    statusQos: 0,
+    alertQos: 0,
+    eventQos: 0,
+    queueSize: 1000,
+    queueMaxAge: 24,
+    deadband: {},
+    heartbeat: 0,
+    alerts: [],
+    commands: true,
+    haPrefix: 'homeassistant',
+    healthThreshold: 10,
     v: 'warn'
   })
+  .env(ENV_PREFIX)
+  .check(validate)
   .help('help')
   .version()
   .strictOptions(true)
@@ -37,6 +346,9 @@ const config = yargs
     'camel-case-expansion': false,
     'strip-dashed': true
   })
-  .argv
+
+const options = parser.getOptions()
+const envErrors = readEnvFiles([...Object.keys(options.key), ...Object.values(options.alias).flat()])
+const config = parser.argv
 
 module.exports = config
@@ -0,0 +1,166 @@
+// private constants
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits
+const isNumber = (value) => typeof value === 'number'
+const DERIVED = ['dewpoint', 'abshumidity', 'heatindex', 'humidex', 'windchill', 'feelslike', 'winddir', 'gustdir']
+const CARDINALS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+const WIND_CHILL_MAX_TEMPERATURE = 10 // °C
+const WIND_CHILL_MIN_SPEED = 4.8 // km/h
+const HEAT_INDEX_MIN_TEMPERATURE = 26.7 // °C (80 °F)
+const HUMIDEX_MIN_TEMPERATURE = 20 // °C
+
+/**
+ * Dew point (Magnus formula)
+ *
+ * @param {number} temperature Temperature (°C)
+ * @param {number} humidity Relative humidity (%)
+ * @return {number} Dew point (°C)
+ */
+function dewPoint (temperature, humidity) {
+  const gamma = Math.log(humidity / 100) + 17.62 * temperature / (243.12 + temperature)
+  return 243.12 * gamma / (17.62 - gamma)
+}
+
+/**
+ * Absolute humidity
+ *
+ * @param {number} temperature Temperature (°C)
+ * @param {number} humidity Relative humidity (%)
+ * @return {number} Absolute humidity (g/m³)
+ */
+function absoluteHumidity (temperature, humidity) {
+  return 6.112 * Math.exp(17.67 * temperature / (temperature + 243.5)) * humidity * 2.1674 / (273.15 + temperature)
+}
+
+/**
+ * Heat index (NOAA, Rothfusz regression with adjustments), the temperature itself out of its validity range
+ *
+ * @param {number} temperature Temperature (°C)
+ * @param {number} humidity Relative humidity (%)
+ * @return {number} Heat index (°C)
+ */
+function heatIndex (temperature, humidity) {
+  if (temperature < HEAT_INDEX_MIN_TEMPERATURE) {
+    return temperature
+  }
+  const t = temperature * 9 / 5 + 32
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + humidity * 0.094)
+  if ((index + t) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * t + 10.14333127 * humidity - 0.22475541 * t * humidity - 0.00683783 * t * t -
+      0.05481717 * humidity * humidity + 0.00122874 * t * t * humidity + 0.00085282 * t * humidity * humidity - 0.00000199 * t * t * humidity * humidity
+    if (humidity < 13 && t >= 80 && t <= 112) {
+      index -= (13 - humidity) / 4 * Math.sqrt((17 - Math.abs(t - 95)) / 17)
+    } else if (humidity > 85 && t >= 80 && t <= 87) {
+      index += (humidity - 85) / 10 * (87 - t) / 5
+    }
+  }
+  return (index - 32) * 5 / 9
+}
+
+/**
+ * Humidex (Environment Canada), the temperature itself out of its validity range
+ *
+ * @param {number} temperature Temperature (°C)
+ * @param {number} humidity Relative humidity (%)
+ * @return {number} Humidex
+ */
+function humidex (temperature, humidity) {
+  if (temperature < HUMIDEX_MIN_TEMPERATURE) {
+    return temperature
+  }
+  const vapourPressure = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + dewPoint(temperature, humidity))))
+  return temperature + 0.5555 * (vapourPressure - 10)
+}
+
+/**
+ * Wind chill (Environment Canada), the temperature itself out of its validity range
+ *
+ * @param {number} temperature Temperature (°C)
+ * @param {number} wind Wind speed (km/h)
+ * @return {number} Wind chill (°C)
+ */
+function windChill (temperature, wind) {
+  if (temperature > WIND_CHILL_MAX_TEMPERATURE || wind <= WIND_CHILL_MIN_SPEED) {
+    return temperature
+  }
+  const factor = wind ** 0.16
+  return 13.12 + 0.6215 * temperature - 11.37 * factor + 0.3965 * temperature * factor
+}
+
+/**
+ * Feels-like temperature: wind chill when cold and windy, heat index when hot, the temperature otherwise
+ *
+ * @param {number} temperature Temperature (°C)
+ * @param {number} humidity Relative humidity (%)
+ * @param {number} wind Wind speed (km/h), undefined if unknown
+ * @return {number} Feels-like temperature (°C)
+ */
+function feelsLike (temperature, humidity, wind) {
+  if (wind !== undefined && temperature <= WIND_CHILL_MAX_TEMPERATURE && wind > WIND_CHILL_MIN_SPEED) {
+    return windChill(temperature, wind)
+  }
+  return humidity !== undefined ? heatIndex(temperature, humidity) : temperature
+}
+
+/**
+ * Cardinal direction of an angle
+ *
+ * @param {number} angle Angle (°), negative when there is no wind
+ * @return {string} Cardinal direction (16 points), undefined if no direction
+ */
+function cardinal (angle) {
+  if (!isNumber(angle) || angle < 0) {
+    return undefined
+  }
+  return CARDINALS[Math.round(angle / 22.5) % 16]
+}
+
+class DerivedMetrics {
+  /**
+   * Create the computation of derived metrics
+   *
+   * @param {Array} enabled Derived metrics added to frames (`dewpoint`, `abshumidity`, `heatindex`, `humidex`, `windchill`, `feelslike`, `winddir`, `gustdir`)
+   */
+  constructor (enabled = []) {
+    for (const metric of enabled) {
+      if (!DERIVED.includes(metric)) {
+        throw new Error(`Invalid derived metric ${metric}`)
+      }
+    }
+    this.enabled = new Set(enabled)
+  }
+
+  /**
+   * Add the enabled derived metrics to frame values
+   *
+   * @param {object} data Frame values in Netatmo metric units
+   * @param {number} wind Wind speed of the station (km/h), undefined if unknown
+   * @return {object} Frame values with derived metrics
+   */
+  enrich (data, wind) {
+    const { temperature, humidity } = data
+    const metrics = {}
+    if (isNumber(temperature) && isNumber(humidity) && humidity > 0) {
+      metrics.dewpoint = () => round(dewPoint(temperature, humidity))
+      metrics.abshumidity = () => round(absoluteHumidity(temperature, humidity))
+      metrics.heatindex = () => round(heatIndex(temperature, humidity))
+      metrics.humidex = () => round(humidex(temperature, humidity))
+    }
+    if (isNumber(temperature) && isNumber(wind)) {
+      metrics.windchill = () => round(windChill(temperature, wind))
+    }
+    if (isNumber(temperature)) {
+      metrics.feelslike = () => round(feelsLike(temperature, isNumber(humidity) ? humidity : undefined, isNumber(wind) ? wind : undefined))
+    }
+    metrics.winddir = () => cardinal(data.windangle)
+    metrics.gustdir = () => cardinal(data.gustangle)
+    for (const [metric, compute] of Object.entries(metrics)) {
+      const value = this.enabled.has(metric) ? compute() : undefined
+      if (value !== undefined) {
+        data[metric] = value
+      }
+    }
+    return data
+  }
+}
+
+module.exports = { DERIVED, DerivedMetrics, dewPoint, absoluteHumidity, heatIndex, humidex, windChill, feelsLike, cardinal }
@@ -0,0 +1,112 @@
+// private constants
+const MANUFACTURER = 'Netatmo'
+const MAC_ADDRESS = /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i
+const MODELS = {
+  NAMain: 'Smart Home Weather Station',
+  NAModule1: 'Smart Outdoor Module',
+  NAModule2: 'Smart Anemometer',
+  NAModule3: 'Smart Rain Gauge',
+  NAModule4: 'Smart Indoor Module',
+  NHC: 'Smart Indoor Air Quality Monitor',
+  NAPlug: 'Smart Thermostat Relay',
+  NATherm1: 'Smart Thermostat',
+  NRV: 'Smart Radiator Valve',
+  OTH: 'Smart Modulating Thermostat Relay',
+  OTM: 'Smart Modulating Thermostat',
+  BNS: 'Smarther with Netatmo',
+  NACamera: 'Smart Indoor Camera',
+  NOC: 'Smart Outdoor Camera',
+  NDB: 'Smart Video Doorbell',
+  NSD: 'Smart Smoke Alarm',
+  NCO: 'Smart Carbon Monoxide Alarm',
+  NACamDoorTag: 'Smart Door and Window Sensor',
+  room: 'Room'
+}
+const SENSORS = {
+  temperature: { name: 'Temperature', device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' },
+  humidity: { name: 'Humidity', device_class: 'humidity', unit_of_measurement: '%', state_class: 'measurement' },
+  co2: { name: 'CO2', device_class: 'carbon_dioxide', unit_of_measurement: 'ppm', state_class: 'measurement' },
+  noise: { name: 'Noise', device_class: 'sound_pressure', unit_of_measurement: 'dB', state_class: 'measurement' },
+  pressure: { name: 'Pressure', device_class: 'atmospheric_pressure', unit_of_measurement: 'mbar', state_class: 'measurement' },
+  pressureabs: { name: 'Absolute pressure', device_class: 'atmospheric_pressure', unit_of_measurement: 'mbar', state_class: 'measurement' },
+  rain: { name: 'Rain', device_class: 'precipitation', unit_of_measurement: 'mm', state_class: 'measurement' },
+  sumrain1: { name: 'Rain last hour', device_class: 'precipitation', unit_of_measurement: 'mm', state_class: 'measurement' },
+  sumrain24: { name: 'Rain today', device_class: 'precipitation', unit_of_measurement: 'mm', state_class: 'total_increasing' },
+  windstrength: { name: 'Wind strength', device_class: 'wind_speed', unit_of_measurement: 'km/h', state_class: 'measurement' },
+  windangle: { name: 'Wind angle', icon: 'mdi:compass-outline', unit_of_measurement: '°', state_class: 'measurement' },
+  guststrength: { name: 'Gust strength', device_class: 'wind_speed', unit_of_measurement: 'km/h', state_class: 'measurement' },
+  gustangle: { name: 'Gust angle', icon: 'mdi:compass-outline', unit_of_measurement: '°', state_class: 'measurement' },
+  healthidx: { name: 'Health index', icon: 'mdi:home-heart', state_class: 'measurement' },
+  dewpoint: { name: 'Dew point', device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' },
+  abshumidity: { name: 'Absolute humidity', icon: 'mdi:water', unit_of_measurement: 'g/m³', state_class: 'measurement' },
+  heatindex: { name: 'Heat index', device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' },
+  humidex: { name: 'Humidex', icon: 'mdi:sun-thermometer', state_class: 'measurement' },
+  windchill: { name: 'Wind chill', device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' },
+  feelslike: { name: 'Feels like', device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' },
+  winddir: { name: 'Wind direction', icon: 'mdi:compass-outline' },
+  gustdir: { name: 'Gust direction', icon: 'mdi:compass-outline' },
+  setpoint: { name: 'Setpoint', device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' },
+  setpointmode: { name: 'Setpoint mode', icon: 'mdi:thermostat' },
+  heatingpower: { name: 'Heating power request', icon: 'mdi:radiator', unit_of_measurement: '%', state_class: 'measurement' },
+  boilerstatus: { name: 'Boiler status', icon: 'mdi:fire', state_class: 'measurement' },
+  monitoring: { name: 'Monitoring', icon: 'mdi:cctv' },
+  sdstatus: { name: 'SD card status', icon: 'mdi:sd', entity_category: 'diagnostic' },
+  powerstatus: { name: 'Power status', icon: 'mdi:power-plug', entity_category: 'diagnostic' },
+  smoke: { name: 'Smoke', icon: 'mdi:smoke-detector' },
+  co: { name: 'Carbon monoxide', icon: 'mdi:molecule-co' },
+  open: { name: 'Open', icon: 'mdi:door-open' },
+  tampered: { name: 'Tampered', icon: 'mdi:shield-alert', entity_category: 'diagnostic' },
+  teststatus: { name: 'Test status', icon: 'mdi:bell-check', entity_category: 'diagnostic' },
+  battery: { name: 'Battery', device_class: 'battery', unit_of_measurement: '%', state_class: 'measurement', entity_category: 'diagnostic' },
+  rfstatus: { name: 'RF status', icon: 'mdi:signal', state_class: 'measurement', entity_category: 'diagnostic' },
+  wifistatus: { name: 'WiFi status', icon: 'mdi:wifi', state_class: 'measurement', entity_category: 'diagnostic' }
+}
+
+/**
+ * Build Home Assistant discovery messages of a frame
+ *
+ * @param {object} frame Frame published on `<topic>/<id>`
+ * @param {string} topic mqtt topic prefix
+ * @param {string} haPrefix Home Assistant discovery prefix
+ * @param {boolean} flat Sensors read the `<topic>/<id>/<key>` subtopics instead of the JSON frame
+ * @param {object} units Unit symbol of converted values, by frame key (default Netatmo metric units)
+ * @returns {Array} Discovery messages (`key`, `topic` and `payload` attributes), one per sensor found in the frame
+ */
+function buildDiscovery (frame, topic, haPrefix = 'homeassistant', flat = false, units = {}) {
+  // Rooms are identified by `<home id>/<room id>`
+  const nodeId = frame.id.replace(/:/g, '').replace(/[^a-zA-Z0-9_-]/g, '_')
+  const device = {
+    identifiers: [frame.id],
+    connections: MAC_ADDRESS.test(frame.id) ? [['mac', frame.id]] : [],
+    name: frame.name,
+    manufacturer: MANUFACTURER,
+    model: MODELS[frame.type] || frame.type
+  }
+  const availability = [{ topic: `${topic}/connected`, payload_available: '1', payload_not_available: '0' }]
+  const messages = []
+  for (const key of Object.keys(SENSORS)) {
+    if (!Object.prototype.hasOwnProperty.call(frame, key)) {
+      continue
+    }
+    const payload = {
+      ...SENSORS[key],
+      unique_id: `netatmo_${nodeId}_${key}`,
+      object_id: `netatmo_${nodeId}_${key}`
+    }
+    if (units[key]) {
+      payload.unit_of_measurement = units[key]
+    }
+    if (flat) {
+      payload.state_topic = `${topic}/${frame.id}/${key}`
+    } else {
+      payload.state_topic = `${topic}/${frame.id}`
+      payload.value_template = `{{ value_json.${key} }}`
+    }
+    payload.availability = availability
+    payload.device = device
+    messages.push({ key, topic: `${haPrefix}/sensor/${nodeId}/${key}/config`, payload })
+  }
+  return messages
+}
+
+module.exports = { buildDiscovery }
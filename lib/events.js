@@ -0,0 +1,99 @@
+const logger = require('./logs')
+const { eventEmitter } = require('./utils')
+
+// private constants
+const STATE_KEY = 'lastEvents'
+
+/**
+ * Compare events by time, then by id
+ *
+ * @param {object} a Event
+ * @param {object} b Event
+ * @return {number} Negative if a is older than b
+ */
+function compareEvents (a, b) {
+  return a.time - b.time || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+}
+
+class EventTracker {
+  /**
+   * Create a tracker publishing each camera and doorbell event once
+   *
+   * @param {StateStore} state Store of the last published event of each home
+   */
+  constructor (state) {
+    if (!state) {
+      throw new Error('State store must be provided')
+    }
+    this.state = state
+  }
+
+  /**
+   * Listen to the polled events
+   */
+  start () {
+    eventEmitter.on('homeEvents', this.check.bind(this))
+  }
+
+  /**
+   * Emit the events of a home not published yet, oldest first
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {Array} events Latest events of the home (getevents)
+   */
+  check (home, events = []) {
+    // Outdoor camera events are split in human, animal and vehicle subevents
+    const flattened = events
+      .flatMap((event) => (event.subevents && event.subevents.length) ? event.subevents.map((subevent) => ({ module_id: event.module_id, ...subevent })) : [event])
+      .sort(compareEvents)
+    const latest = flattened[flattened.length - 1]
+    if (!latest) {
+      return
+    }
+    const lastEvents = this.state.get(STATE_KEY, {})
+    const last = lastEvents[home.id]
+    if (!last) {
+      // First poll of the home, its past events are not published
+      logger.info(`Events of home ${home.id} published from now on`)
+    } else {
+      const cameras = new Map((home.modules || []).map((module) => [module.id, module]))
+      const persons = new Map((home.persons || []).map((person) => [person.id, person]))
+      for (const event of flattened.filter((item) => compareEvents(item, last) > 0)) {
+        eventEmitter.emit('event', this.format(home, cameras.get(event.module_id) || {}, persons.get(event.person_id) || {}, event))
+      }
+    }
+    if (!last || compareEvents(latest, last) > 0) {
+      this.state.set(STATE_KEY, { ...lastEvents, [home.id]: { id: latest.id, time: latest.time } })
+    }
+  }
+
+  /**
+   * Format an event message
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} camera Camera of the event in the home topology
+   * @param {object} person Person seen in the home topology
+   * @param {object} event Netatmo event
+   * @return {object} Event message
+   */
+  format (home, camera, person, event) {
+    const message = {
+      id: event.id,
+      type: event.type,
+      time: event.time,
+      module: event.module_id,
+      name: camera.name,
+      home: home.name,
+      message: event.message
+    }
+    if (event.person_id) {
+      message.person = person.pseudo || event.person_id
+    }
+    if (event.snapshot && event.snapshot.url) {
+      message.snapshot = event.snapshot.url
+    }
+    return message
+  }
+}
+
+module.exports = EventTracker
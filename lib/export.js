@@ -0,0 +1,117 @@
+const logger = require('./logs')
+const { measureKey, measureTypes, normalizeMeasure, toTimestamp } = require('./measure')
+
+// private constants
+const MAX_POINTS = 1024
+const PAGE_DELAY = 1000 // Below the 50 requests per 10 seconds limit
+
+/**
+ * Find station and module ids of a device
+ *
+ * @param {Array} devices Weather stations and HomeCoachs (getstationsdata / gethomecoachsdata devices)
+ * @param {string} device Station name or mac address, or module name or mac address
+ * @param {string} module Module name or mac address
+ * @return {object} Ids for getmeasure (`deviceId`, `moduleId`) and device name (`name`)
+ */
+function findDevice (devices, device, module) {
+  const match = (id, name, search) => search && (id.toLowerCase() === String(search).toLowerCase() || name === search)
+  for (const station of devices) {
+    const modules = station.modules || []
+    if (match(station._id, station.station_name, device)) {
+      if (!module) {
+        return { deviceId: station._id, name: station.station_name }
+      }
+      const found = modules.find((m) => match(m._id, m.module_name, module))
+      if (!found) {
+        throw new Error(`Module ${module} not found in ${station.station_name}`)
+      }
+      return { deviceId: station._id, moduleId: found._id, name: found.module_name }
+    }
+    if (!module) {
+      // device is a module
+      const found = modules.find((m) => match(m._id, m.module_name, device))
+      if (found) {
+        return { deviceId: station._id, moduleId: found._id, name: found.module_name }
+      }
+    }
+  }
+  throw new Error(`Device ${device} not found`)
+}
+
+/**
+ * Create a writer of measures in the export format
+ *
+ * @param {string} format Export format (`csv`, `ndjson`, `json`)
+ * @param {Array} keys Measure names
+ * @param {stream.Writable} output Output stream
+ * @return {object} Writer (`write(point)` and `end()` functions)
+ */
+function createWriter (format, keys, output) {
+  switch (format) {
+    case 'csv': {
+      output.write(['timeutc', 'date', ...keys].join(',') + '\n')
+      return {
+        write: (point) => {
+          const values = keys.map((key) => (point[key] === null || point[key] === undefined) ? '' : point[key])
+          output.write([point.timeutc, new Date(point.timeutc * 1000).toISOString(), ...values].join(',') + '\n')
+        },
+        end: () => {}
+      }
+    }
+    case 'ndjson':
+      return {
+        write: (point) => output.write(JSON.stringify(point) + '\n'),
+        end: () => {}
+      }
+    case 'json': {
+      let first = true
+      output.write('[')
+      return {
+        write: (point) => {
+          output.write((first ? '\n' : ',\n') + JSON.stringify(point))
+          first = false
+        },
+        end: () => output.write('\n]\n')
+      }
+    }
+    default:
+      throw new Error(`Unknown export format ${format}`)
+  }
+}
+
+/**
+ * Export historical measures of a device, page by page
+ *
+ * @param {NetatmoClient} netatmo Connected Netatmo client
+ * @param {object} options Export options (`device`, `module`, `types`, `scale`, `from`, `to`, `format`)
+ * @param {stream.Writable} output Output stream
+ * @return {number} Exported measures count
+ */
+async function exportMeasures (netatmo, options, output) {
+  const { device, module, scale = '1day', format = 'csv' } = options
+  const types = measureTypes(scale, options.types)
+  const end = toTimestamp(options.to) || Math.floor(Date.now() / 1000)
+  let begin = toTimestamp(options.from)
+  // Find device
+  const devices = (await netatmo.getStationsData()).concat(await netatmo.getHomeCoachData())
+  const { deviceId, moduleId, name } = findDevice(devices, device, module)
+  logger.info(`Export ${types.join(', ')} of ${name} (${scale})`)
+  // Read pages
+  const writer = createWriter(format, types.map(measureKey), output)
+  let count = 0
+  for (;;) {
+    const body = await netatmo.getMeasure(deviceId, moduleId, scale, types.join(','), begin, end, MAX_POINTS, true, true)
+    const points = normalizeMeasure(body, types)
+    points.forEach((point) => writer.write(point))
+    count += points.length
+    if (points.length < MAX_POINTS) {
+      break
+    }
+    begin = points[points.length - 1].timeutc + 1
+    await new Promise((resolve) => setTimeout(resolve, PAGE_DELAY))
+  }
+  writer.end()
+  return count
+}
+
+module.exports = { exportMeasures, findDevice, createWriter }
@@ -0,0 +1,61 @@
+// private constants
+const IGNORED_KEYS = ['timeutc']
+const EPSILON = 1e-9 // float rounding of sensor values (21.8 - 21.7 > 0.1)
+
+class ChangeFilter {
+  /**
+   * Create a filter letting only changed frames through
+   *
+   * @param {object} deadbands Changes of a value up to its deadband are not published, by frame key (example: `{ temperature: 0.1 }`)
+   * @param {number} heartbeat Publish the full frame at least every heartbeat minutes (0 to disable)
+   */
+  constructor (deadbands = {}, heartbeat = 0) {
+    this.deadbands = deadbands
+    this.heartbeat = heartbeat * 60000
+    // last published frame and time by device id
+    this.published = new Map()
+  }
+
+  /**
+   * Check if a frame has to be published, and remember it if so
+   *
+   * @param {object} frame Frame to publish
+   * @param {number} now Current time (ms)
+   * @return {boolean} Frame changed since last published one
+   */
+  accept (frame, now = Date.now()) {
+    const last = this.published.get(frame.id)
+    if (!last || (this.heartbeat && now - last.time >= this.heartbeat) || this.hasChanged(last.frame, frame)) {
+      this.published.set(frame.id, { frame, time: now })
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Compare a frame to the last published one
+   *
+   * @param {object} last Last published frame
+   * @param {object} frame New frame
+   * @return {boolean} At least one value changed more than its deadband
+   */
+  hasChanged (last, frame) {
+    const keys = new Set([...Object.keys(last), ...Object.keys(frame)])
+    for (const key of keys) {
+      if (IGNORED_KEYS.includes(key)) {
+        continue
+      }
+      const deadband = this.deadbands[key]
+      if (deadband && typeof frame[key] === 'number' && typeof last[key] === 'number') {
+        if (Math.abs(frame[key] - last[key]) > deadband + EPSILON) {
+          return true
+        }
+      } else if (frame[key] !== last[key]) {
+        return true
+      }
+    }
+    return false
+  }
+}
+
+module.exports = ChangeFilter
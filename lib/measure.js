@@ -0,0 +1,87 @@
+// private constants
+const SCALES = ['max', '30min', '1hour', '3hours', '1day', '1week', '1month']
+
+/**
+ * Name of a getmeasure type in frames (`Temperature` => `temperature`, `sum_rain` => `sumrain`, `date_min_temp` => `mintemputc`)
+ *
+ * @param {string} type Netatmo measure type
+ * @return {string} Frame key
+ */
+function measureKey (type) {
+  const key = type.toLowerCase()
+  if (key.startsWith('date_')) {
+    return key.slice(5).replace(/_/g, '') + 'utc'
+  }
+  return key.replace(/_/g, '')
+}
+
+/**
+ * Normalize a getmeasure body into a list of points
+ *
+ * @param {object|Array} body getmeasure result, optimized (`beg_time`, `step_time`, `value`) or not (values by timestamp)
+ * @param {Array} types Requested measure types, in request order
+ * @return {Array} Points sorted by time (`timeutc` and one attribute per type)
+ */
+function normalizeMeasure (body, types) {
+  const keys = types.map(measureKey)
+  const point = (timeutc, values) => {
+    const data = { timeutc: Number(timeutc) }
+    keys.forEach((key, i) => {
+      data[key] = values[i]
+    })
+    return data
+  }
+  const points = []
+  if (Array.isArray(body)) {
+    for (const block of body) {
+      const step = block.step_time || 0
+      block.value.forEach((values, i) => {
+        points.push(point(block.beg_time + i * step, values))
+      })
+    }
+  } else if (body) {
+    for (const [timeutc, values] of Object.entries(body)) {
+      points.push(point(timeutc, values))
+    }
+  }
+  return points.sort((a, b) => a.timeutc - b.timeutc)
+}
+
+/**
+ * Check the scale and read the types of a getmeasure request
+ *
+ * @param {string} scale Time between measures
+ * @param {Array|string} types Measure types, as a list or comma separated
+ * @return {Array} Measure types
+ */
+function measureTypes (scale, types) {
+  if (!SCALES.includes(scale)) {
+    throw new Error(`Invalid scale ${scale} (expected ${SCALES.join(', ')})`)
+  }
+  const list = (Array.isArray(types) ? types : String(types || '').split(','))
+    .map((type) => String(type).trim())
+    .filter((type) => type)
+  if (!list.length) {
+    throw new Error('types must be provided')
+  }
+  return list
+}
+
+/**
+ * Read a date as Unix time in seconds
+ *
+ * @param {number|string} date Unix time in seconds or date string (ISO 8601)
+ * @return {number} Unix time, undefined if no date
+ */
+function toTimestamp (date) {
+  if (date === undefined || date === null || date === '') {
+    return undefined
+  }
+  const timestamp = (typeof date === 'number' || /^\d+$/.test(date)) ? Number(date) : Math.floor(Date.parse(date) / 1000)
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date: ${date}`)
+  }
+  return timestamp
+}
+
+module.exports = { SCALES, measureKey, measureTypes, normalizeMeasure, toTimestamp }
@@ -0,0 +1,162 @@
+const client = require('prom-client')
+const { eventEmitter } = require('./utils')
+
+// private constants
+const VALUE_PREFIX = 'netatmo_'
+const BRIDGE_PREFIX = 'mqtt4netatmo_'
+const VALUE_LABELS = ['id', 'name', 'type', 'home']
+const IDENTITY_KEYS = [...VALUE_LABELS, 'module']
+
+class Metrics {
+  /**
+   * Create the Prometheus metrics of frame values and bridge internals
+   *
+   * @param {NetatmoClient} netatmo Netatmo client (token expiry)
+   */
+  constructor (netatmo) {
+    this.registry = new client.Registry()
+    // gauge of each frame value, by frame key
+    this.values = new Map()
+    // labels and keys of the gauges set, by device id
+    this.devices = new Map()
+    this.pollDuration = new client.Histogram({
+      name: `${BRIDGE_PREFIX}poll_duration_seconds`,
+      help: 'Duration of Netatmo polls',
+      labelNames: ['source', 'result'],
+      buckets: [0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers: [this.registry]
+    })
+    this.requests = new client.Counter({
+      name: `${BRIDGE_PREFIX}api_requests_total`,
+      help: 'Netatmo API requests',
+      labelNames: ['path'],
+      registers: [this.registry]
+    })
+    this.requestErrors = new client.Counter({
+      name: `${BRIDGE_PREFIX}api_errors_total`,
+      help: 'Failed Netatmo API requests',
+      labelNames: ['path'],
+      registers: [this.registry]
+    })
+    this.publishFailures = new client.Counter({
+      name: `${BRIDGE_PREFIX}mqtt_publish_failures_total`,
+      help: 'Failed MQTT publications',
+      labelNames: ['kind'],
+      registers: [this.registry]
+    })
+    this.droppedMessages = new client.Counter({
+      name: `${BRIDGE_PREFIX}mqtt_dropped_messages_total`,
+      help: 'Queued MQTT messages dropped before the broker was reachable',
+      labelNames: ['reason'],
+      registers: [this.registry]
+    })
+    this.tokenExpiry = new client.Gauge({
+      name: `${BRIDGE_PREFIX}token_expiry_timestamp_seconds`,
+      help: 'Expiry time of the Netatmo access token (Unix time)',
+      registers: [this.registry],
+      collect () {
+        this.set(netatmo ? netatmo.expiresInTimestamp : 0)
+      }
+    })
+  }
+
+  /**
+   * Listen to the bridge events
+   */
+  start () {
+    client.collectDefaultMetrics({ prefix: BRIDGE_PREFIX, register: this.registry })
+    eventEmitter.on('frame', this.setFrame.bind(this))
+    eventEmitter.on('removed', this.removeDevice.bind(this))
+    eventEmitter.on('request', (path, error) => {
+      this.requests.inc({ path })
+      if (error) {
+        this.requestErrors.inc({ path })
+      }
+    })
+    eventEmitter.on('poll', ({ source, duration, error }) => {
+      this.pollDuration.observe({ source, result: error ? 'error' : 'success' }, duration)
+    })
+    eventEmitter.on('publishError', (kind) => {
+      this.publishFailures.inc({ kind })
+    })
+    eventEmitter.on('dropped', (count, reason) => {
+      this.droppedMessages.inc({ reason }, count)
+    })
+  }
+
+  /**
+   * Set the gauges of the numeric values of a frame
+   *
+   * @param {object} frame Polled frame
+   */
+  setFrame (frame) {
+    if (!frame.id) {
+      return
+    }
+    const labels = {}
+    for (const label of VALUE_LABELS) {
+      labels[label] = frame[label] === undefined ? '' : String(frame[label])
+    }
+    const previous = this.devices.get(frame.id)
+    if (previous && VALUE_LABELS.some((label) => previous.labels[label] !== labels[label])) {
+      // Renamed or moved device, drop the series of the old labels
+      this.removeDevice(frame.id)
+    }
+    const device = this.devices.get(frame.id) || { labels, keys: new Set() }
+    this.devices.set(frame.id, device)
+    for (const [key, value] of Object.entries(frame)) {
+      if (IDENTITY_KEYS.includes(key) || typeof value !== 'number') {
+        continue
+      }
+      this.getGauge(key).set(labels, value)
+      device.keys.add(key)
+    }
+  }
+
+  /**
+   * Remove the gauge values of a device
+   *
+   * @param {string} id Device id
+   */
+  removeDevice (id) {
+    const device = this.devices.get(id)
+    if (!device) {
+      return
+    }
+    for (const key of device.keys) {
+      this.values.get(key).remove(device.labels)
+    }
+    this.devices.delete(id)
+  }
+
+  /**
+   * Get the gauge of a frame value, created on first use
+   *
+   * @param {string} key Frame key
+   * @return {Gauge}
+   */
+  getGauge (key) {
+    let gauge = this.values.get(key)
+    if (!gauge) {
+      gauge = new client.Gauge({
+        name: VALUE_PREFIX + key.replace(/[^a-zA-Z0-9_]/g, '_'),
+        help: `Netatmo ${key} value`,
+        labelNames: VALUE_LABELS,
+        registers: [this.registry]
+      })
+      this.values.set(key, gauge)
+    }
+    return gauge
+  }
+
+  /**
+   * Render the metrics in the Prometheus text format
+   *
+   * @return {object} HTTP response (`type`, `body`)
+   */
+  async render () {
+    return { type: this.registry.contentType, body: await this.registry.metrics() }
+  }
+}
+
+module.exports = Metrics
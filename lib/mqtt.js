@@ -1,13 +1,31 @@
+const fs = require('fs')
 const mqtt = require('async-mqtt')
 const logger = require('./logs')
 const { eventEmitter } = require('./utils')
+const { buildDiscovery } = require('./discovery')
+const ChangeFilter = require('./filter')
+const OfflineQueue = require('./queue')
+
+// private constants
+const CONNECTION_OPTIONS = ['ca', 'cert', 'key', 'passphrase', 'username', 'password', 'passwordFile', 'clientId', 'keepalive', 'clean', 'reconnectPeriod']
+const SESSION_EXPIRY = 86400 // MQTT 5 sessions expire on disconnection by default
+const USER_PROPERTIES = ['type', 'home']
+const RETAINED_KEY = 'retainedTopics'
 
 class MqttClient {
   #client
   /**
    * Create an instance of mqtt client
+   *
+   * @param {string} mqttUrl mqtt broker url
+   * @param {string} mqttTopic mqtt topic prefix
+   * @param {boolean} sslVerify allow ssl connections with invalid certs
+   * @param {object} options Publishing options (`haDiscovery`, `haPrefix`, `output`, `flatRetain`, `flatQos`, `frameRetain`, `frameQos`, `statusRetain`, `statusQos`,
+   * `alertRetain`, `alertQos`, `eventRetain`, `eventQos`, `clearRetained`, `onlyChanges`, `deadbands`, `heartbeat`, `commands`, `energy`, `queueSize`, `queueMaxAge`, `queueFile`, `oneShot`, `state`)
+   * and connection options (`ca`, `cert`, `key` files, `passphrase`, `username`, `password`, `passwordFile`, `clientId`, `keepalive`, `clean`, `reconnectPeriod` in seconds,
+   * `protocolVersion`, `messageExpiry` in seconds)
    */
-  constructor (mqttUrl, mqttTopic, sslVerify = false) {
+  constructor (mqttUrl, mqttTopic, sslVerify = false, options = {}) {
     if (!mqttUrl || !mqttTopic) {
       throw new Error('mqttURL and mqttTopic must be provided')
     }
@@ -16,6 +34,52 @@ class MqttClient {
     this.sslopt = sslVerify
     this.#client = null
     this.debugURL = null
+    // Home Assistant discovery
+    this.haDiscovery = options.haDiscovery || false
+    this.haPrefix = options.haPrefix || 'homeassistant'
+    this.discovered = new Map()
+    // unit symbols of the frame values, by frame key
+    this.units = {}
+    // Output mode: json, flat or both
+    this.output = options.output || 'json'
+    this.flatRetain = options.flatRetain || false
+    this.flatQos = options.flatQos || 0
+    // QoS and retain by topic class, frames are retained as last known values
+    this.topicOptions = {
+      frame: { qos: options.frameQos || 0, retain: options.frameRetain !== false },
+      value: { qos: this.flatQos, retain: this.flatRetain },
+      status: { qos: options.statusQos || 0, retain: options.statusRetain !== false },
+      alert: { qos: options.alertQos || 0, retain: options.alertRetain || false },
+      event: { qos: options.eventQos || 0, retain: options.eventRetain || false }
+    }
+    // Clear the retained topics of removed devices
+    this.clearRetained = options.clearRetained || false
+    // store of the retained topics by device id, cleared when the device is removed after a restart
+    this.state = options.state || null
+    // value keys published on subtopics by device id
+    this.valueKeys = new Map()
+    // Publish only changed frames
+    this.changeFilter = options.onlyChanges ? new ChangeFilter(options.deadbands, options.heartbeat) : null
+    // Client of a one-shot command (auth, export): the bridge availability is left unchanged, and no command or frame is handled
+    this.oneShot = options.oneShot || false
+    // Subscribe to command topics
+    this.commands = !this.oneShot && options.commands !== false
+    // Subscribe to the set topics of Energy homes and rooms
+    this.energy = this.commands && (options.energy || false)
+    // Connection
+    this.connection = {}
+    for (const name of CONNECTION_OPTIONS) {
+      if (options[name] !== undefined) {
+        this.connection[name] = options[name]
+      }
+    }
+    // MQTT 5
+    this.protocolVersion = options.protocolVersion || 4
+    this.messageExpiry = options.messageExpiry || 0
+    this.connectProperties = {}
+    // Messages waiting for the broker
+    this.queue = options.queueSize ? new OfflineQueue(options.queueSize, options.queueMaxAge, options.queueFile) : null
+    this.replaying = false
   }
 
   /**
@@ -32,11 +96,10 @@ class MqttClient {
       throw new Error(`MQTT connection error [${e.message}] ${this.url}`)
     }
     /* MQTT Options */
-    const mqttOptions = {
-      clientId: this.topic + '_' + Math.random().toString(16).slice(3),
-      connectTimeout: 5000,
-      will: { topic: this.topic + '/connected', payload: '0', retain: true },
-      rejectUnauthorized: !this.sslopt
+    const mqttOptions = await this.getConnectOptions()
+    this.connectProperties = mqttOptions.properties || {}
+    if (this.queue) {
+      await this.queue.load()
     }
     const allOptions = Object.assign({}, userOptions, mqttOptions)
     try {
@@ -51,17 +114,21 @@ class MqttClient {
     // Connected
     logger.info(`Connected to MQTT broker [${this.debugURL}]`)
     // Set as connected
-    try {
-      await this.#client.publish(`${this.topic}/connected`, '1', { retain: true })
-    } catch (e) {
-      throw new Error(`MQTT publish error [${e.message}]`)
+    if (!this.oneShot) {
+      try {
+        await this.#client.publish(`${this.topic}/connected`, '1', { retain: true })
+      } catch (e) {
+        throw new Error(`MQTT publish error [${e.message}]`)
+      }
     }
     // Events
     this.#client.on('connect', () => {
       // Workaround to avoid reconnect issue (see https://github.com/mqttjs/MQTT.js/issues/1213)
+      // Keep the configured MQTT 5 properties only, not the ones received from the broker
       // eslint-disable-next-line no-underscore-dangle
-      this.#client._client.options.properties = {}
+      this.#client._client.options.properties = { ...this.connectProperties }
       logger.debug('Reconnected to MQTT broker')
+      this.replay()
     })
     process.on('SIGTERM', async () => {
       logger.debug('SIGTERM received')
@@ -71,10 +138,330 @@ class MqttClient {
       logger.debug('SIGINT received')
       await this.disconnect(true)
     })
+    // Commands
+    if (this.commands) {
+      this.#client.on('message', this.handleMessage.bind(this))
+      try {
+        const topics = this.energy ? ['cmd/+', '+/set', '+/+/set'] : ['cmd/+']
+        await this.#client.subscribe(topics.map((topic) => this.getFrameTopic(topic)))
+      } catch (e) {
+        throw new Error(`MQTT subscribe error [${e.message}]`)
+      }
+    }
+    if (this.oneShot) {
+      return
+    }
     // Events listener
     eventEmitter.on('frame', (frame) => {
       this.publishFrame(frame)
     })
+    eventEmitter.on('backfill', (frame) => {
+      this.publishBackfill(frame)
+    })
+    eventEmitter.on('response', (topic, response) => {
+      this.publishResponse(topic, response)
+    })
+    eventEmitter.on('status', (status) => {
+      this.publishStatus(status)
+    })
+    eventEmitter.on('removed', (id) => {
+      this.removeDevice(id)
+    })
+    eventEmitter.on('units', (units) => {
+      this.publishUnits(units)
+    })
+    eventEmitter.on('alert', (alert) => {
+      this.publishAlert(alert)
+    })
+    eventEmitter.on('event', (event) => {
+      this.publishEvent(event)
+    })
+    // Messages queued by a previous run
+    this.replay()
+  }
+
+  /**
+   * Build the mqtt.js connection options
+   * @returns {object}
+   */
+  async getConnectOptions () {
+    const { clientId, passphrase, username, keepalive, clean, reconnectPeriod } = this.connection
+    const mqttOptions = {
+      clientId: clientId || this.topic + '_' + Math.random().toString(16).slice(3),
+      connectTimeout: 5000,
+      rejectUnauthorized: !this.sslopt
+    }
+    if (!this.oneShot) {
+      mqttOptions.will = { topic: this.topic + '/connected', payload: '0', retain: true }
+    }
+    // TLS client certificate
+    for (const name of ['ca', 'cert', 'key']) {
+      if (this.connection[name]) {
+        mqttOptions[name] = await this.readFile(name, this.connection[name])
+      }
+    }
+    if (passphrase) {
+      mqttOptions.passphrase = passphrase
+    }
+    // Credentials, instead of the ones of the URL
+    if (username) {
+      mqttOptions.username = username
+    }
+    if (this.connection.passwordFile) {
+      mqttOptions.password = (await this.readFile('password', this.connection.passwordFile)).toString().trim()
+    } else if (this.connection.password) {
+      mqttOptions.password = this.connection.password
+    }
+    if (keepalive !== undefined) {
+      mqttOptions.keepalive = keepalive
+    }
+    if (clean !== undefined) {
+      mqttOptions.clean = clean
+    }
+    if (reconnectPeriod !== undefined) {
+      mqttOptions.reconnectPeriod = reconnectPeriod * 1000
+    }
+    if (this.queue) {
+      // Fail instead of queueing in memory, messages are queued by this client
+      mqttOptions.queueQoSZero = false
+    }
+    if (this.protocolVersion === 3) {
+      mqttOptions.protocolId = 'MQIsdp'
+      mqttOptions.protocolVersion = 3
+    }
+    if (this.protocolVersion === 5) {
+      mqttOptions.protocolVersion = 5
+      // Long MAC-based topics are sent once per connection, then replaced by an alias
+      mqttOptions.autoAssignTopicAlias = true
+      if (clean === false) {
+        mqttOptions.properties = { sessionExpiryInterval: SESSION_EXPIRY }
+      }
+    }
+    return mqttOptions
+  }
+
+  /**
+   * Add the MQTT 5 properties of a frame to publish options
+   * @param frame
+   * @param json Payload is the JSON frame
+   * @param options Publish options (`qos`, `retain`)
+   * @returns {object}
+   */
+  getPublishOptions (frame, json, options = {}) {
+    if (this.protocolVersion !== 5) {
+      return options
+    }
+    const properties = {}
+    if (json) {
+      properties.contentType = 'application/json'
+    }
+    if (this.messageExpiry) {
+      // Stale values age out of the retained messages
+      properties.messageExpiryInterval = this.messageExpiry
+    }
+    const userProperties = {}
+    for (const key of USER_PROPERTIES) {
+      if (frame[key] !== undefined && frame[key] !== null) {
+        userProperties[key] = String(frame[key])
+      }
+    }
+    if (Object.keys(userProperties).length) {
+      properties.userProperties = userProperties
+    }
+    return { ...options, properties }
+  }
+
+  /**
+   * Read a connection file
+   * @param name Option name
+   * @param file
+   * @returns {Buffer}
+   */
+  async readFile (name, file) {
+    try {
+      return await fs.promises.readFile(file)
+    } catch (e) {
+      throw new Error(`MQTT connection error [unable to read ${name} file ${file}: ${e.message}]`)
+    }
+  }
+
+  /**
+   * Publish a message, queued while the broker is not reachable.
+   * @param topic
+   * @param payload
+   * @param options Publish options (`qos`, `retain`)
+   */
+  async send (topic, payload, options = {}) {
+    if (this.queue && (!this.#client || !this.#client.connected || this.queue.length)) {
+      // Keep messages in order behind the queued ones
+      this.queue.push(topic, payload, options)
+      this.replay()
+      return
+    }
+    try {
+      await this.#client.publish(topic, payload, options)
+    } catch (e) {
+      if (!this.queue) {
+        throw e
+      }
+      logger.debug(`Unable to publish to ${topic} (${e.message}), message queued`)
+      this.queue.push(topic, payload, options)
+    }
+  }
+
+  /**
+   * Publish the queued messages in order.
+   */
+  async replay () {
+    if (!this.queue || this.replaying || !this.#client || !this.#client.connected) {
+      return
+    }
+    this.replaying = true
+    let count = 0
+    try {
+      for (let item = this.queue.peek(); item && this.#client.connected; item = this.queue.peek()) {
+        await this.#client.publish(item.topic, item.payload, item.options)
+        this.queue.shift()
+        count++
+      }
+    } catch (e) {
+      logger.warn(`Unable to publish queued messages (${e.message})`)
+    } finally {
+      this.replaying = false
+    }
+    if (count) {
+      logger.info(`${count} queued messages published`)
+    }
+  }
+
+  /**
+   * Handle message received on a command topic.
+   * @param topic
+   * @param message
+   * @param packet
+   */
+  handleMessage (topic, message, packet = {}) {
+    const prefix = this.getFrameTopic('cmd/')
+    const target = topic.startsWith(prefix) ? null : this.getSetTarget(topic)
+    if (!topic.startsWith(prefix) && !target) {
+      return
+    }
+    if (target && packet.retain) {
+      logger.warn(`Retained command ignored on ${topic}`)
+      return
+    }
+    const command = target ? 'set' : topic.slice(prefix.length)
+    let request
+    try {
+      request = JSON.parse(message.toString())
+    } catch (e) {
+      logger.warn(`Invalid command received on ${topic} (${e.message})`)
+      return
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      logger.warn(`Invalid command received on ${topic} (JSON object expected)`)
+      return
+    }
+    logger.debug(`Command received on topic [${topic}]`)
+    eventEmitter.emit('command', command, target ? { responseTopic: `${topic}/result`, ...request, ...target } : request)
+  }
+
+  /**
+   * Get the Energy home and room of a set topic (`<prefix>/<home>/set` or `<prefix>/<home>/<room>/set`)
+   * @param topic
+   * @returns {object|null} Home and room ids (`home`, `room`), null if not a set topic
+   */
+  getSetTarget (topic) {
+    const prefix = this.getFrameTopic('')
+    if (!this.energy || !topic.startsWith(prefix) || !topic.endsWith('/set')) {
+      return null
+    }
+    const [home, room, ...others] = topic.slice(prefix.length, -'/set'.length).split('/')
+    if (!home || others.length) {
+      return null
+    }
+    return room === undefined ? { home } : { home, room }
+  }
+
+  /**
+   * Publish the response of a command.
+   * @param topic Response topic given in the command
+   * @param response
+   */
+  async publishResponse (topic, response) {
+    logger.debug(`Publish response to topic [${topic}]`)
+    try {
+      await this.#client.publish(topic, JSON.stringify(response))
+    } catch (e) {
+      logger.warn(`Unable to publish response to ${topic} (${e.message})`)
+      eventEmitter.emit('publishError', 'response', topic)
+    }
+  }
+
+  /**
+   * Publish the bridge status on the retained status topic.
+   * @param status
+   */
+  async publishStatus (status) {
+    const statusTopic = this.getFrameTopic('status')
+    logger.debug(`Publish status to topic [${statusTopic}]`)
+    try {
+      await this.#client.publish(statusTopic, JSON.stringify(status), this.topicOptions.status)
+    } catch (e) {
+      logger.warn(`Unable to publish status to ${statusTopic} (${e.message})`)
+      eventEmitter.emit('publishError', 'status', statusTopic)
+    }
+  }
+
+  /**
+   * Publish a raised or cleared alert on the alerts topic
+   *
+   * @param {object} alert Alert event
+   */
+  async publishAlert (alert) {
+    const alertTopic = this.getFrameTopic('alerts')
+    logger.debug(`Publish alert to topic [${alertTopic}]`)
+    try {
+      await this.send(alertTopic, JSON.stringify(alert), this.topicOptions.alert)
+    } catch (e) {
+      logger.warn(`Unable to publish alert to ${alertTopic} (${e.message})`)
+      eventEmitter.emit('publishError', 'alert', alertTopic)
+    }
+  }
+
+  /**
+   * Publish a camera or doorbell event on the events topic
+   *
+   * @param {object} event Event message
+   */
+  async publishEvent (event) {
+    const eventTopic = this.getFrameTopic('events')
+    logger.debug(`Publish event to topic [${eventTopic}]`)
+    try {
+      await this.send(eventTopic, JSON.stringify(event), this.topicOptions.event)
+    } catch (e) {
+      logger.warn(`Unable to publish event to ${eventTopic} (${e.message})`)
+      eventEmitter.emit('publishError', 'event', eventTopic)
+    }
+  }
+
+  /**
+   * Publish the unit symbols of the frame values on the retained units topic
+   *
+   * @param {object} units Unit symbol by frame key
+   */
+  async publishUnits (units) {
+    this.units = units
+    // Announce the sensors again with their new units
+    this.discovered.clear()
+    const unitsTopic = this.getFrameTopic('units')
+    logger.debug(`Publish units to topic [${unitsTopic}]`)
+    try {
+      await this.send(unitsTopic, JSON.stringify(units), { retain: true })
+    } catch (e) {
+      logger.warn(`Unable to publish units to ${unitsTopic} (${e.message})`)
+      eventEmitter.emit('publishError', 'units', unitsTopic)
+    }
   }
 
   /**
@@ -87,6 +474,51 @@ class MqttClient {
     }
   }
 
+  /**
+   * Read the retained message of a topic
+   *
+   * @param subtopic
+   * @param timeout Time to wait for the retained message (ms)
+   * @returns {string|null} Payload, null if there is no retained message
+   */
+  async readRetained (subtopic, timeout = 2000) {
+    const topic = this.getFrameTopic(subtopic)
+    let onMessage
+    const payload = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(null), timeout)
+      onMessage = (msgTopic, message) => {
+        if (msgTopic === topic) {
+          clearTimeout(timer)
+          resolve(message.length ? message.toString() : null)
+        }
+      }
+      this.#client.on('message', onMessage)
+      this.#client.subscribe(topic).catch((e) => {
+        clearTimeout(timer)
+        reject(new Error(`MQTT subscribe error [${e.message}]`))
+      })
+    }).finally(() => {
+      this.#client.removeListener('message', onMessage)
+    })
+    await this.#client.unsubscribe(topic)
+    return payload
+  }
+
+  /**
+   * Publish a retained message
+   *
+   * @param subtopic
+   * @param payload
+   */
+  async publishRetained (subtopic, payload) {
+    const topic = this.getFrameTopic(subtopic)
+    try {
+      await this.#client.publish(topic, payload, { retain: true })
+    } catch (e) {
+      throw new Error(`MQTT publish error [${e.message}]`)
+    }
+  }
+
   /**
    * Get frame topic.
    * @param subtopic
@@ -106,13 +538,170 @@ class MqttClient {
       logger.warn('Cannot publish a frame without unique id property')
       logger.debug(frame)
     } else {
-      const frameTopic = this.getFrameTopic(id)
-      logger.debug(`Publish frame to topic [${frameTopic}]`)
-      logger.debug(frame)
+      if (this.changeFilter && !this.changeFilter.accept(frame)) {
+        logger.debug(`Frame of ${id} unchanged, not published`)
+        // Consumers already have these values
+        eventEmitter.emit('published', frame)
+        return
+      }
+      if (this.haDiscovery) {
+        await this.publishDiscovery(frame)
+      }
+      let published = true
+      if (this.output !== 'flat') {
+        const frameTopic = this.getFrameTopic(id)
+        logger.debug(`Publish frame to topic [${frameTopic}]`)
+        logger.debug(frame)
+        try {
+          await this.send(frameTopic, JSON.stringify(frame), this.getPublishOptions(frame, true, this.topicOptions.frame))
+        } catch (e) {
+          logger.warn(`Unable to publish frame to ${frameTopic} (${e.message})`)
+          eventEmitter.emit('publishError', 'frame', frameTopic)
+          published = false
+        }
+      }
+      if (this.output !== 'json') {
+        published = await this.publishFlat(frame) && published
+      }
+      if (published) {
+        eventEmitter.emit('published', frame)
+      }
+      this.rememberRetained(id)
+    }
+  }
+
+  /**
+   * Publish a backfilled measure.
+   * @param frame
+   */
+  async publishBackfill (frame) {
+    const backfillTopic = this.getFrameTopic(`backfill/${frame.id}`)
+    logger.debug(`Publish backfill to topic [${backfillTopic}]`)
+    try {
+      await this.send(backfillTopic, JSON.stringify(frame), this.getPublishOptions(frame, true))
+    } catch (e) {
+      logger.warn(`Unable to publish backfill to ${backfillTopic} (${e.message})`)
+      eventEmitter.emit('publishError', 'backfill', backfillTopic)
+    }
+  }
+
+  /**
+   * Publish each frame value to its own subtopic.
+   * @param frame
+   * @returns {boolean} All values published
+   */
+  async publishFlat (frame) {
+    let published = true
+    logger.debug(`Publish frame values to topic [${this.getFrameTopic(frame.id)}/#]`)
+    const keys = this.valueKeys.get(frame.id) || new Set()
+    this.valueKeys.set(frame.id, keys)
+    for (const [key, value] of Object.entries(frame)) {
+      if (key === 'id' || value === undefined) {
+        continue
+      }
+      keys.add(key)
+      const valueTopic = this.getFrameTopic(`${frame.id}/${key}`)
+      const payload = (value !== null && typeof value === 'object') ? JSON.stringify(value) : String(value)
+      try {
+        await this.send(valueTopic, payload, this.getPublishOptions(frame, false, this.topicOptions.value))
+      } catch (e) {
+        logger.warn(`Unable to publish value to ${valueTopic} (${e.message})`)
+        eventEmitter.emit('publishError', 'value', valueTopic)
+        published = false
+      }
+    }
+    return published
+  }
+
+  /**
+   * Publish Home Assistant discovery of the frame sensors not announced yet.
+   * @param frame
+   */
+  async publishDiscovery (frame) {
+    const announced = this.discovered.get(frame.id) || new Set()
+    this.discovered.set(frame.id, announced)
+    for (const message of buildDiscovery(frame, this.topic, this.haPrefix, this.output === 'flat', this.units)) {
+      if (announced.has(message.topic)) {
+        continue
+      }
+      logger.debug(`Publish discovery to topic [${message.topic}]`)
+      try {
+        await this.#client.publish(message.topic, JSON.stringify(message.payload), { retain: true })
+        announced.add(message.topic)
+      } catch (e) {
+        logger.warn(`Unable to publish discovery to ${message.topic} (${e.message})`)
+        eventEmitter.emit('publishError', 'discovery', message.topic)
+      }
+    }
+  }
+
+  /**
+   * Get the retained topics published for a device
+   *
+   * @param {string} id Device id
+   * @return {Array} Frame, value and discovery topics
+   */
+  getRetainedTopics (id) {
+    const topics = []
+    if (this.topicOptions.frame.retain) {
+      topics.push(this.getFrameTopic(id))
+    }
+    if (this.topicOptions.value.retain) {
+      for (const key of this.valueKeys.get(id) || []) {
+        topics.push(this.getFrameTopic(`${id}/${key}`))
+      }
+    }
+    topics.push(...(this.discovered.get(id) || []))
+    return topics
+  }
+
+  /**
+   * Save the retained topics of a device, to clear them if it is removed while the bridge is stopped
+   *
+   * @param {string} id Device id
+   */
+  rememberRetained (id) {
+    if (!this.clearRetained || !this.state) {
+      return
+    }
+    const retained = this.state.get(RETAINED_KEY, {})
+    const known = retained[id] || []
+    const topics = [...new Set([...known, ...this.getRetainedTopics(id)])]
+    if (topics.length !== known.length) {
+      this.state.set(RETAINED_KEY, { ...retained, [id]: topics })
+    }
+  }
+
+  /**
+   * Forget a device removed from the account, and clear its retained topics if enabled
+   *
+   * @param {string} id Device id
+   */
+  async removeDevice (id) {
+    const topics = []
+    const retained = this.state ? this.state.get(RETAINED_KEY, {}) : {}
+    if (this.clearRetained) {
+      // Topics published before a restart too
+      topics.push(...new Set([...this.getRetainedTopics(id), ...(retained[id] || [])]))
+    }
+    if (retained[id]) {
+      const others = { ...retained }
+      delete others[id]
+      this.state.set(RETAINED_KEY, others)
+    }
+    this.valueKeys.delete(id)
+    this.discovered.delete(id)
+    if (this.changeFilter) {
+      this.changeFilter.published.delete(id)
+    }
+    for (const topic of topics) {
+      logger.debug(`Clear retained topic [${topic}]`)
       try {
-        await this.#client.publish(frameTopic, JSON.stringify(frame))
+        // an empty retained message deletes the retained one
+        await this.#client.publish(topic, '', { retain: true })
       } catch (e) {
-        logger.warn(`Unable to publish frame to ${frameTopic} (${e.message})`)
+        logger.warn(`Unable to clear retained topic ${topic} (${e.message})`)
+        eventEmitter.emit('publishError', 'clear', topic)
       }
     }
   }
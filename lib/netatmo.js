@@ -2,12 +2,45 @@ const axios = require('axios')
 const _ = require('lodash')
 const logger = require('./logs')
 const { eventEmitter } = require('./utils')
+const PollScheduler = require('./scheduler')
+const { measureTypes, normalizeMeasure, toTimestamp } = require('./measure')
+const { RateLimiter } = require('./ratelimit')
+const { UnitConverter } = require('./units')
+const { DerivedMetrics } = require('./derived')
 
 // private constants
 const HTTP_POST = 'POST'
 const HTTP_GET = 'GET'
 const PATH_AUTH = '/oauth2/token'
+const PATH_AUTHORIZE = '/oauth2/authorize'
+const SCOPE = 'read_station read_homecoach'
+const ENERGY_SCOPE = 'read_thermostat write_thermostat'
+const SECURITY_SCOPE = 'read_camera access_camera read_presence access_presence read_doorbell access_doorbell read_smokedetector read_carbonmonoxidedetector'
 const baseURL = 'https://api.netatmo.com'
+const RETRY_ERRORS = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_NETWORK']
+const USER_USAGE_REACHED = 26
+const REQUEST_TIMEOUT = 30000 // a stalled request fails and is retried instead of blocking the polls
+const PING_TIMEOUT = 5000
+const DEVICES_KEY = 'devices'
+const ENERGY_TYPES = ['NAPlug', 'NATherm1', 'NRV', 'OTH', 'OTM', 'BNS']
+const ROOM_TYPE = 'room'
+const SECURITY_TYPES = ['NACamera', 'NOC', 'NDB']
+const ALARM_TYPES = ['NSD', 'NCO', 'NACamDoorTag']
+const hasModule = (home, types) => (home.modules || []).some((module) => types.includes(module.type))
+// event types emitted when a detection value turns on or off
+const TRANSITIONS = {
+  smoke: ['smoke_detected', 'smoke_cleared'],
+  co: ['co_detected', 'co_cleared'],
+  open: ['tag_open', 'tag_closed'],
+  tampered: ['tampered', 'tamper_cleared']
+}
+const SNAPSHOT_PATH = '/live/snapshot_720.jpg'
+// setroomthermpoint modes of a room and setthermmode modes of a home
+const ROOM_MODES = ['manual', 'max', 'home']
+const HOME_MODES = ['schedule', 'away', 'hg']
+// setpoint range accepted by Netatmo (°C)
+const MIN_SETPOINT = 7
+const MAX_SETPOINT = 30
 
 class NetatmoClient {
   /**
@@ -15,21 +48,34 @@ class NetatmoClient {
    *
    * @param {string} clientId Your app client_id
    * @param {string} clientSecret Your app client_secret
-   * @param {string} username User address email
-   * @param {string} password User password
-   * @param {object} requestConfig HTTP request configuration (see https://axios-http.com/docs/req_config)
+   * @param {string} username User address email (deprecated password grant only)
+   * @param {string} password User password (deprecated password grant only)
+   * @param {object} requestConfig HTTP request configuration (see https://axios-http.com/docs/req_config), requests time out after 30s by default
+   * @param {object} options Retries of failed requests (`retries`, `retryDelay` and `maxRetryDelay` in ms), request limits (`limits`), units by quantity (`units`), derived metrics (`derived`)
+   * Energy polling (`energy`), security polling (`security`) and store of the found devices (`state`)
    * @return {NetatmoClient} A new instance of Netatmo client
    */
-  constructor (clientId, clientSecret, username, password, requestConfig = {}) {
+  constructor (clientId, clientSecret, username, password, requestConfig = {}, options = {}) {
     if (!clientId || !clientSecret) {
       throw new Error('Client id and client secret must be provided, see https://dev.netatmo.com/apidocumentation/oauth#client-credential')
     }
-    if (!username || !password) {
-      throw new Error('Username and password must be provided')
-    }
     this.clientId = clientId
     this.clientSecret = clientSecret
     this.requestConfig = requestConfig
+    // retry policy
+    this.retries = options.retries !== undefined ? options.retries : 3
+    this.retryDelay = options.retryDelay || 1000
+    this.maxRetryDelay = options.maxRetryDelay || 60000
+    // per user and per app request limits
+    this.limiter = new RateLimiter(options.limits)
+    // units of frame values
+    this.units = new UnitConverter(options.units)
+    // derived metrics added to frames
+    this.derived = new DerivedMetrics(options.derived)
+    // poll thermostats, valves and rooms
+    this.energy = options.energy || false
+    // poll cameras, doorbells and their events
+    this.security = options.security || false
     // client credentials
     this.username = username
     this.password = password
@@ -37,8 +83,26 @@ class NetatmoClient {
     this.accessToken = null
     this.refreshToken = null
     this.expiresInTimestamp = 0
+    // authentication in progress
+    this.authenticating = null
     // setInterval ID
     this.intervalId = null
+    // fixed interval poll, or adaptive mode Energy and security poll, in progress
+    this.polling = false
+    // adaptive schedulers
+    this.schedulers = []
+    // station and module ids of polled devices, by device id
+    this.devices = new Map()
+    // ids of the devices found in the account, by polled source
+    this.found = new Map()
+    // store of the found ids across restarts, to remove the devices missing after a restart
+    this.state = options.state || null
+    // topology of the polled Energy homes, by home id
+    this.homes = new Map()
+    // local URL of the cameras, by VPN URL
+    this.localUrls = new Map()
+    // last frame of the alarms and door tags, by module id
+    this.detections = new Map()
   }
 
   /**
@@ -55,10 +119,28 @@ class NetatmoClient {
       }
       return
     }
+    // Parallel requests share the authentication in progress, as Netatmo rotates refresh tokens
+    if (!this.authenticating) {
+      this.authenticating = this.authenticate(refreshToken).finally(() => {
+        this.authenticating = null
+      })
+    }
+    await this.authenticating
+  }
+
+  /**
+   * Get a new access token with a refresh token or client credentials
+   *
+   * @param {string} refreshToken Refresh token to get a new access token
+   */
+  async authenticate (refreshToken) {
     if (refreshToken) {
       await this.authenticateByRefreshToken(refreshToken)
       return
     }
+    if (!this.username || !this.password) {
+      throw new Error('No refresh token available, run `mqtt4netatmo auth` to authorize this app')
+    }
     await this.authenticateByClientCredentials()
   }
 
@@ -78,6 +160,13 @@ class NetatmoClient {
     return false
   }
 
+  /**
+   * Drop the access token and get a new one
+   */
+  async reauthenticate () {
+    await this.connect(null, this.refreshToken)
+  }
+
   /**
    * Authenticate with an existing refresh token
    *
@@ -98,17 +187,71 @@ class NetatmoClient {
   }
 
   /**
-   * Authenticate with client credentials
+   * Get the scopes of the polled devices
+   *
+   * @return {string} Space separated scopes
+   */
+  getScope () {
+    return [SCOPE, ...(this.energy ? [ENERGY_SCOPE] : []), ...(this.security ? [SECURITY_SCOPE] : [])].join(' ')
+  }
+
+  /**
+   * Build the URL where the user grants access to this app
+   *
+   * @param {string} redirectUri URL Netatmo redirects to with the authorization code
+   * @param {string} state Random value returned unchanged to the redirect URI
+   * @return {string} Authorization URL
+   */
+  getAuthorizeUrl (redirectUri, state) {
+    if (!redirectUri || !state) {
+      throw new Error('Redirect URI and state must be provided')
+    }
+    const url = new URL(PATH_AUTHORIZE, baseURL)
+    url.search = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.getScope(),
+      state
+    }).toString()
+    return url.href
+  }
+
+  /**
+   * Authenticate with an authorization code
+   *
+   * @param {string} code Authorization code received on the redirect URI
+   * @param {string} redirectUri Redirect URI used to get the authorization code
+   */
+  async authenticateByAuthorizationCode (code, redirectUri) {
+    if (!code || !redirectUri) {
+      throw new Error('Authorization code and redirect URI must be provided')
+    }
+    const authentication = await this.request(HTTP_POST, PATH_AUTH, null, {
+      grant_type: 'authorization_code',
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      code,
+      redirect_uri: redirectUri,
+      scope: this.getScope()
+    })
+    this.setToken(authentication)
+  }
+
+  /**
+   * Authenticate with client credentials (deprecated by Netatmo)
    *
    */
   async authenticateByClientCredentials () {
+    if (!this.username || !this.password) {
+      throw new Error('Username and password must be provided')
+    }
     const authentication = await this.request(HTTP_POST, PATH_AUTH, null, {
       grant_type: 'password',
       client_id: this.clientId,
       client_secret: this.clientSecret,
       username: this.username,
       password: this.password,
-      scope: 'read_station read_homecoach'
+      scope: this.getScope()
     })
     this.setToken(authentication)
   }
@@ -125,6 +268,12 @@ class NetatmoClient {
     this.accessToken = netatmoAuthentication.access_token
     this.refreshToken = netatmoAuthentication.refresh_token
     this.expiresInTimestamp = Math.floor(Date.now() / 1000) + netatmoAuthentication.expires_in
+    // Save rotated tokens
+    eventEmitter.emit('token', {
+      accessToken: this.accessToken,
+      refreshToken: this.refreshToken,
+      expiresInTimestamp: this.expiresInTimestamp
+    })
   }
 
   /**
@@ -134,11 +283,12 @@ class NetatmoClient {
    * @param {string} path API path (example: `'/api/gethomedata'`)
    * @param {object} params Parameters send as query string
    * @param {object} data Data to post
-   * @param {boolean} isRetry This is the second try for this request (default false)
+   * @param {boolean} isRetry This is the second try for this request after a token refresh (default false)
    * @return {object|Array} Data in response
    */
   async request (method, path, params = null, data = null, isRetry = false) {
     const config = {
+      timeout: REQUEST_TIMEOUT,
       ...this.requestConfig,
       method,
       baseURL,
@@ -154,39 +304,99 @@ class NetatmoClient {
     }
 
     if (path !== PATH_AUTH) {
+      if (this.authenticating) {
+        // Wait for the new access token, an authentication error is thrown by the request
+        await this.authenticating.catch(() => {})
+      }
       if (!this.accessToken) {
         throw new Error('Access token must be provided')
       }
       config.headers.Authorization = `Bearer ${this.accessToken}`
     }
 
-    try {
-      const result = await axios(config)
-      return result.data
-    } catch (e) {
-      if (e.response && e.response.data) {
-        if (!isRetry && (e.response.status === 403 || e.response.status === 401) && e.response.data.error && e.response.data.error.code && e.response.data.error.code === 3) {
-          // expired access token error, remove it and try to get a new one before a retry
-          this.accessToken = null
-          await this.connect(null, this.refreshToken, this.expiresInTimestamp)
-          return await this.request(method, path, params, data, true)
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter.acquire()
+      try {
+        const result = await axios(config)
+        eventEmitter.emit('request', path, null)
+        return result.data
+      } catch (e) {
+        eventEmitter.emit('request', path, e)
+        const delay = attempt < this.retries ? this.getRetryDelay(e, attempt) : null
+        if (delay === null) {
+          return await this.handleRequestError(e, method, path, params, data, isRetry)
         }
-        if (e.response.data.error_description) {
-          // bad request error
-          throw new Error(`HTTP request ${path} failed: ${e.response.data.error_description} (${e.response.status})`)
-        }
-        if (e.response.data.error && e.response.data.error.message) {
-          // standard error
-          throw new Error(`HTTP request ${path} failed: ${e.response.data.error.message} (${e.response.status})`)
+        logger.warn(`HTTP request ${path} failed (${e.response ? e.response.status : e.code || e.message}), retry in ${Math.ceil(delay / 1000)}s`)
+        await new Promise((resolve) => setTimeout(resolve, delay))
+      }
+    }
+  }
+
+  /**
+   * Get the delay before retrying a failed request
+   *
+   * @param {Error} e Axios error
+   * @param {number} attempt Number of the failed attempt, from 0
+   * @return {number} Delay (ms), null if the request must not be retried
+   */
+  getRetryDelay (e, attempt) {
+    const response = e.response
+    if (response) {
+      const code = response.data && response.data.error && response.data.error.code
+      if (response.status < 500 && response.status !== 429 && code !== USER_USAGE_REACHED) {
+        return null
+      }
+      const retryAfter = response.headers && response.headers['retry-after']
+      if (retryAfter) {
+        // seconds or HTTP date
+        const delay = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now()
+        if (!Number.isNaN(delay)) {
+          return delay <= this.maxRetryDelay ? Math.max(0, delay) : null
         }
-        if (e.response.data.error) {
-          // other error
-          throw new Error(`HTTP request ${path} failed: ${JSON.stringify(e.response.data.error)} (${e.response.status})`)
+      }
+    } else if (!RETRY_ERRORS.includes(e.code)) {
+      return null
+    }
+    // exponential backoff with jitter
+    const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt)
+    return Math.round(backoff / 2 + Math.random() * backoff / 2)
+  }
+
+  /**
+   * Handle the error of a request, refreshing an expired access token
+   *
+   * @param {Error} e Axios error
+   * @param {string} method HTTP method
+   * @param {string} path API path
+   * @param {object} params Parameters send as query string
+   * @param {object} data Data to post
+   * @param {boolean} isRetry This is the second try for this request after a token refresh
+   * @return {object|Array} Data in response of the retry
+   */
+  async handleRequestError (e, method, path, params, data, isRetry) {
+    if (e.response && e.response.data) {
+      if (!isRetry && (e.response.status === 403 || e.response.status === 401) && e.response.data.error && e.response.data.error.code && e.response.data.error.code === 3) {
+        // expired access token error, get a new one before a retry, unless a parallel request already did
+        if (!e.config || !e.config.headers || e.config.headers.Authorization === `Bearer ${this.accessToken}`) {
+          await this.connect(null, this.refreshToken)
         }
+        return await this.request(method, path, params, data, true)
+      }
+      if (e.response.data.error_description) {
+        // bad request error
+        throw new Error(`HTTP request ${path} failed: ${e.response.data.error_description} (${e.response.status})`)
+      }
+      if (e.response.data.error && e.response.data.error.message) {
+        // standard error
+        throw new Error(`HTTP request ${path} failed: ${e.response.data.error.message} (${e.response.status})`)
+      }
+      if (e.response.data.error) {
+        // other error
+        throw new Error(`HTTP request ${path} failed: ${JSON.stringify(e.response.data.error)} (${e.response.status})`)
       }
-      // Axios error
-      throw new Error(`HTTP request ${path} failed: ${e.message}`)
     }
+    // Axios error
+    throw new Error(`HTTP request ${path} failed: ${e.message}`)
   }
 
   /**
@@ -222,6 +432,43 @@ class NetatmoClient {
     return (await this.request(HTTP_GET, '/api/homestatus', params, null)).body.home
   }
 
+  /**
+   * Retrieve the latest events of the cameras and doorbells of a home
+   *
+   * @param {string} homeId Home ID to get events
+   * @param {number} size Number of events (default 30)
+   * @return {Array} Events list, latest first
+   */
+  async getEvents (homeId, size = 30) {
+    if (!homeId) {
+      throw new Error('Home id must be provided')
+    }
+    const params = {
+      home_id: homeId,
+      size
+    }
+    return (await this.request(HTTP_GET, '/api/getevents', params, null)).body.home.events
+  }
+
+  /**
+   * Get the local URL of a camera, from its VPN URL
+   *
+   * @param {string} vpnUrl VPN URL of the camera
+   * @return {string} Local URL, undefined if unknown
+   */
+  async getLocalUrl (vpnUrl) {
+    if (!this.localUrls.has(vpnUrl)) {
+      try {
+        const { data } = await axios({ ...this.requestConfig, timeout: PING_TIMEOUT, method: HTTP_GET, url: `${vpnUrl}/command/ping` })
+        this.localUrls.set(vpnUrl, data && data.local_url)
+      } catch (e) {
+        logger.debug(`Unable to get the local URL of camera ${vpnUrl} (${e.message})`)
+        return undefined
+      }
+    }
+    return this.localUrls.get(vpnUrl)
+  }
+
   /**
    * Returns data from a user Weather Stations (measures and device specific data)
    *
@@ -234,7 +481,9 @@ class NetatmoClient {
       device_id: deviceId,
       get_favorites: getFavorites
     }
-    return (await this.request(HTTP_GET, '/api/getstationsdata', params, null)).body.devices
+    const { body } = await this.request(HTTP_GET, '/api/getstationsdata', params, null)
+    this.units.setPreferences(body.user && body.user.administrative)
+    return body.devices
   }
 
   /**
@@ -279,40 +528,389 @@ class NetatmoClient {
     const params = {
       device_id: deviceId
     }
-    return (await this.request(HTTP_GET, '/api/gethomecoachsdata', params, null)).body.devices
+    const { body } = await this.request(HTTP_GET, '/api/gethomecoachsdata', params, null)
+    this.units.setPreferences(body.user && body.user.administrative)
+    return body.devices
+  }
+
+  /**
+   * Run a command received from mqtt and emit its response
+   *
+   * @param {string} command Command name (`getmeasure`, `set`)
+   * @param {object} request Command parameters, with `responseTopic` and `correlationId`
+   */
+  async handleCommand (command, request) {
+    const { responseTopic, correlationId } = request
+    if (!responseTopic) {
+      logger.warn(`Command ${command} ignored: responseTopic must be provided`)
+      return
+    }
+    let response
+    try {
+      switch (command) {
+        case 'getmeasure':
+          response = await this.getMeasureCommand(request)
+          break
+        case 'set':
+          response = await this.setCommand(request)
+          break
+        default:
+          throw new Error(`Unknown command ${command}`)
+      }
+    } catch (e) {
+      logger.warn(`Command ${command} failed (${e.message})`)
+      response = { error: e.message }
+    }
+    eventEmitter.emit('response', responseTopic, { correlationId, ...response })
+  }
+
+  /**
+   * Get historical measures for a command
+   *
+   * @param {object} request Command parameters (`device`, `module`, `scale`, `types`, `begin`, `end`, `limit`)
+   * @return {object} Request parameters and measures list (`measures`)
+   */
+  async getMeasureCommand (request) {
+    const { device, module, scale = '30min', begin, end, limit } = request
+    if (!device) {
+      throw new Error('device must be provided')
+    }
+    const types = measureTypes(scale, request.types)
+    const body = await this.getMeasure(device, module, scale, types.join(','), toTimestamp(begin), toTimestamp(end), limit)
+    return { device, module, scale, types, measures: normalizeMeasure(body, types) }
+  }
+
+  /**
+   * Set the heating of an Energy room or home for a command, and publish the new state
+   *
+   * @param {object} request Command parameters (`home`, `room`, `mode`, `temperature` in the selected unit, `endtime`)
+   * @return {object} Request parameters and API result (`status`)
+   */
+  async setCommand (request) {
+    const { home, room, mode } = request
+    const topology = this.homes.get(home)
+    if (!topology) {
+      throw new Error(`Unknown Energy home ${home}`)
+    }
+    if (room !== undefined && !(topology.rooms || []).some((item) => item.id === room)) {
+      throw new Error(`Unknown room ${room} in home ${home}`)
+    }
+    const endtime = toTimestamp(request.endtime)
+    if (endtime !== undefined && endtime <= Date.now() / 1000) {
+      throw new Error(`endtime ${request.endtime} is not in the future`)
+    }
+    let result
+    if (ROOM_MODES.includes(mode)) {
+      if (room === undefined) {
+        throw new Error(`Mode ${mode} needs a room`)
+      }
+      const data = { home_id: home, room_id: room, mode }
+      if (mode === 'manual') {
+        if (typeof request.temperature !== 'number') {
+          throw new Error('temperature must be provided')
+        }
+        data.temp = this.units.toMetric('temperature', request.temperature)
+        if (data.temp < MIN_SETPOINT || data.temp > MAX_SETPOINT) {
+          throw new Error(`temperature ${request.temperature} out of range (${MIN_SETPOINT} to ${MAX_SETPOINT} °C)`)
+        }
+      }
+      if (endtime !== undefined && mode !== 'home') {
+        data.endtime = endtime
+      }
+      result = await this.request(HTTP_POST, '/api/setroomthermpoint', null, data)
+    } else if (HOME_MODES.includes(mode)) {
+      const data = { home_id: home, mode }
+      if (endtime !== undefined && mode !== 'schedule') {
+        data.endtime = endtime
+      }
+      result = await this.request(HTTP_POST, '/api/setthermmode', null, data)
+    } else {
+      throw new Error(`Invalid mode ${mode} (expected ${[...ROOM_MODES, ...HOME_MODES].join(', ')})`)
+    }
+    logger.info(`Heating of ${room === undefined ? `home ${home}` : `room ${room}`} set to ${mode}`)
+    // Publish the new state without waiting for the next poll
+    try {
+      this.processHome(topology, await this.getHomeStatus(home))
+    } catch (e) {
+      logger.warn(`Unable to process home ${home} (${e.message})`)
+    }
+    return { home, room, mode, temperature: request.temperature, endtime, status: result && result.status }
   }
 
   /**
    * Start polling Data
+   *
+   * @param {object} token Saved token (with `accessToken`, `refreshToken` and `expiresInTimestamp` attributes)
+   * @param {object} pollOptions Polling mode (`fixed` or `adaptive`) and interval in seconds (`mode`, `interval`)
    */
-  async startPolling () {
+  async startPolling (token = {}, pollOptions = {}) {
+    const { mode = 'fixed', interval = 60 } = pollOptions
     // Connect to Netatmo
-    await this.connect()
+    await this.connect(token.accessToken, token.refreshToken, token.expiresInTimestamp)
+    // Commands listener
+    eventEmitter.on('command', this.handleCommand.bind(this))
+    if (mode === 'adaptive') {
+      // Weather stations and HomeCoachs upload on their own cycle
+      this.schedulers = [
+        new PollScheduler('weather stations', this.pollStations.bind(this), interval),
+        new PollScheduler('homecoachs', this.pollAircares.bind(this), interval)
+      ]
+      await Promise.all(this.schedulers.map((scheduler) => scheduler.start()))
+      // Thermostats and cameras have no upload cycle
+      if (this.energy || this.security) {
+        const pollHomes = async () => {
+          if (this.polling) {
+            logger.warn('Previous poll still running, poll skipped')
+            return
+          }
+          this.polling = true
+          try {
+            await Promise.all(Object.entries(this.pollHomes()).map(([source, poll]) => poll.catch((e) => logger.warn(`Unable to poll ${source} (${e.message})`))))
+          } finally {
+            this.polling = false
+          }
+        }
+        await pollHomes()
+        this.intervalId = setInterval(pollHomes, interval * 1000)
+      }
+      const stop = () => {
+        this.schedulers.forEach((scheduler) => scheduler.stop())
+        clearInterval(this.intervalId)
+      }
+      process.on('SIGTERM', stop)
+      process.on('SIGINT', stop)
+      return
+    }
     // Poll Data
-    await this.pollData()
+    await this.pollSafely()
     // Set interval polling
-    this.intervalId = setInterval(this.pollData.bind(this), 60000)
+    this.intervalId = setInterval(this.pollSafely.bind(this), interval * 1000)
     process.on('SIGTERM', () => clearInterval(this.intervalId))
     process.on('SIGINT', () => clearInterval(this.intervalId))
   }
 
   /**
-   * Polling function
+   * Poll data unless the previous poll is still running, never throws
+   */
+  async pollSafely () {
+    if (this.polling) {
+      logger.warn('Previous poll still running, poll skipped')
+      return
+    }
+    this.polling = true
+    try {
+      await this.pollData()
+    } catch (e) {
+      logger.warn(`Unable to poll data (${e.message})`)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * Polling function, weather stations, HomeCoachs, Energy and security homes are polled independently
+   *
+   * @return {Array} Published frames
    */
   async pollData () {
-    // Weather Station
-    const stations = await this.getStationsData()
-    for (let s = 0, slen = stations.length; s < slen; s++) {
-      const station = stations[s]
-      logger.debug('Station data: ' + JSON.stringify(station))
-      await this.processStation(station)
+    const polls = [this.pollStations(), this.pollAircares(), ...Object.values(this.pollHomes())]
+    const results = await Promise.allSettled(polls)
+    const failed = results.filter((result) => result.status === 'rejected')
+    if (failed.length === results.length) {
+      throw failed[0].reason
+    }
+    failed.forEach((result) => logger.warn(`Unable to poll data (${result.reason.message})`))
+    return results.flatMap((result) => result.value || [])
+  }
+
+  /**
+   * Poll Weather Stations
+   *
+   * @return {Array} Published frames
+   */
+  async pollStations () {
+    return this.trackPoll('stations', async () => {
+      const frames = []
+      const stations = await this.getStationsData()
+      this.forgetMissingDevices('stations', stations.flatMap((station) => [station._id, ...(station.modules || []).map((module) => module._id)]))
+      for (let s = 0, slen = stations.length; s < slen; s++) {
+        const station = stations[s]
+        logger.debug('Station data: ' + JSON.stringify(station))
+        try {
+          frames.push(...await this.processStation(station))
+        } catch (e) {
+          logger.warn(`Unable to process station ${station._id} (${e.message})`)
+        }
+      }
+      return frames
+    })
+  }
+
+  /**
+   * Poll AirCares
+   *
+   * @return {Array} Published frames
+   */
+  async pollAircares () {
+    return this.trackPoll('homecoachs', async () => {
+      const frames = []
+      const aircares = await this.getHomeCoachData()
+      this.forgetMissingDevices('homecoachs', aircares.map((aircare) => aircare._id))
+      for (let a = 0, alen = aircares.length; a < alen; a++) {
+        const aircare = aircares[a]
+        logger.debug('Aircare data: ' + JSON.stringify(aircare))
+        try {
+          frames.push(...await this.processAircare(aircare))
+        } catch (e) {
+          logger.warn(`Unable to process HomeCoach ${aircare._id} (${e.message})`)
+        }
+      }
+      return frames
+    })
+  }
+
+  /**
+   * Get the homes with some of the given module types, and the status of each one
+   *
+   * @param {Array} types Module types
+   * @return {Array} Homes, with their status or the error of its request
+   */
+  async getHomesStatus (types) {
+    const homes = (await this.getHomesData()).filter((home) => hasModule(home, types))
+    const statuses = []
+    for (const home of homes) {
+      try {
+        statuses.push({ home, status: await this.getHomeStatus(home.id) })
+      } catch (error) {
+        statuses.push({ home, error })
+      }
     }
-    // AirCare
-    const aircares = await this.getHomeCoachData()
-    for (let a = 0, alen = aircares.length; a < alen; a++) {
-      const aircare = aircares[a]
-      logger.debug('Aircare data: ' + JSON.stringify(aircare))
-      await this.processAircare(aircare)
+    return statuses
+  }
+
+  /**
+   * Poll the enabled Energy and security devices, sharing the homes data and status requests
+   *
+   * @return {object} Poll of each enabled source
+   */
+  pollHomes () {
+    const types = [...(this.energy ? ENERGY_TYPES : []), ...(this.security ? [...SECURITY_TYPES, ...ALARM_TYPES] : [])]
+    const polls = {}
+    if (types.length) {
+      const statuses = this.getHomesStatus(types)
+      // Handled by each poll
+      statuses.catch(() => {})
+      if (this.energy) {
+        polls.energy = this.pollEnergy(statuses)
+      }
+      if (this.security) {
+        polls.security = this.pollSecurity(statuses)
+      }
+    }
+    return polls
+  }
+
+  /**
+   * Poll Energy homes
+   *
+   * @param {Promise} statuses Homes and their status, see getHomesStatus (default fetched for Energy modules)
+   * @return {Array} Published frames
+   */
+  async pollEnergy (statuses = this.getHomesStatus(ENERGY_TYPES)) {
+    return this.trackPoll('energy', async () => {
+      const frames = []
+      const homes = (await statuses).filter(({ home }) => hasModule(home, ENERGY_TYPES))
+      this.forgetMissingDevices('energy', homes.flatMap(({ home }) => {
+        const modules = home.modules.filter((module) => ENERGY_TYPES.includes(module.type)).map((module) => module.id)
+        const rooms = (home.rooms || []).filter((room) => (room.module_ids || []).some((id) => modules.includes(id)))
+        return [...rooms.map((room) => `${home.id}/${room.id}`), ...modules]
+      }))
+      this.homes = new Map(homes.map(({ home }) => [home.id, home]))
+      for (const { home, status, error } of homes) {
+        logger.debug('Home data: ' + JSON.stringify(home))
+        try {
+          if (error) {
+            throw error
+          }
+          frames.push(...this.processHome(home, status))
+        } catch (e) {
+          logger.warn(`Unable to process home ${home.id} (${e.message})`)
+        }
+      }
+      return frames
+    })
+  }
+
+  /**
+   * Poll cameras, doorbells, alarms and door tags, and emit the latest events of their homes
+   *
+   * @param {Promise} statuses Homes and their status, see getHomesStatus (default fetched for security modules)
+   * @return {Array} Published frames
+   */
+  async pollSecurity (statuses = this.getHomesStatus([...SECURITY_TYPES, ...ALARM_TYPES])) {
+    return this.trackPoll('security', async () => {
+      const frames = []
+      const types = [...SECURITY_TYPES, ...ALARM_TYPES]
+      const homes = (await statuses).filter(({ home }) => hasModule(home, types))
+      this.forgetMissingDevices('security', homes.flatMap(({ home }) => home.modules.filter((module) => types.includes(module.type)).map((module) => module.id)))
+      for (const { home, status, error } of homes) {
+        logger.debug('Home data: ' + JSON.stringify(home))
+        try {
+          if (error) {
+            throw error
+          }
+          frames.push(...await this.processSecurityHome(home, status))
+          if (hasModule(home, SECURITY_TYPES)) {
+            eventEmitter.emit('homeEvents', home, await this.getEvents(home.id))
+          }
+        } catch (e) {
+          logger.warn(`Unable to process home ${home.id} (${e.message})`)
+        }
+      }
+      return frames
+    })
+  }
+
+  /**
+   * Forget the devices no longer found in the account, and emit their removal
+   *
+   * @param {string} source Polled devices (`stations`, `homecoachs`, `energy`, `security`)
+   * @param {Array} ids Ids of the devices and modules found
+   */
+  forgetMissingDevices (source, ids) {
+    const found = new Set(ids)
+    // On the first poll of a source, compare with the devices found before the restart
+    const known = this.found.get(source) || new Set(this.state ? this.state.get(DEVICES_KEY, {})[source] : [])
+    for (const id of known) {
+      if (!found.has(id)) {
+        logger.info(`Device ${id} removed from the account`)
+        this.devices.delete(id)
+        this.detections.delete(id)
+        eventEmitter.emit('removed', id)
+      }
+    }
+    this.found.set(source, found)
+    if (this.state && (found.size !== known.size || [...found].some((id) => !known.has(id)))) {
+      this.state.set(DEVICES_KEY, { ...this.state.get(DEVICES_KEY, {}), [source]: [...found] })
+    }
+  }
+
+  /**
+   * Run a poll and emit its duration and result
+   *
+   * @param {string} source Polled devices (`stations`, `homecoachs`, `energy`, `security`)
+   * @param {function} poll Async poll function
+   * @return {Array} Published frames
+   */
+  async trackPoll (source, poll) {
+    const start = Date.now()
+    try {
+      const frames = await poll()
+      eventEmitter.emit('poll', { source, duration: (Date.now() - start) / 1000, frames: frames.length })
+      return frames
+    } catch (e) {
+      eventEmitter.emit('poll', { source, duration: (Date.now() - start) / 1000, error: e })
+      throw e
     }
   }
 
@@ -320,10 +918,11 @@ class NetatmoClient {
    * Process Station data
    *
    * @param {object} station Data from a user Weather Station
+   * @return {Array} Published frames
    */
   async processStation (station) {
     // Station dashboard_data
-    const measure = await this.processMeasure(station.dashboard_data)
+    const measure = this.enrichMeasure(await this.processMeasure(this.getDashboard(station)))
     // Station information
     measure.id = station._id
     measure.name = station.station_name
@@ -331,39 +930,61 @@ class NetatmoClient {
     measure.home = station.home_name
     measure.online = (station.reachable) ? 1 : 0
     measure.wifistatus = station.wifi_status
+    this.devices.set(station._id, { deviceId: station._id, type: station.type })
     // Publish to mqtt
     eventEmitter.emit('frame', measure)
+    const frames = [measure]
     // Station Module
     const foundModules = station.modules
     if (_.isEmpty(foundModules)) {
       logger.warn(`This station have no modules: ${station.station_name}`)
-      return
+      return frames
     }
     // Module information
     for (let m = 0, mlen = foundModules.length; m < mlen; m++) {
       const module = foundModules[m]
-      // Module dashboard_data
-      const modmeasure = await this.processMeasure(module.dashboard_data)
-      modmeasure.id = module._id
-      modmeasure.name = module.module_name
-      modmeasure.type = module.type
-      modmeasure.home = station.home_name
-      modmeasure.online = (module.reachable) ? 1 : 0
-      modmeasure.rfstatus = module.rf_status
-      modmeasure.battery = module.battery_percent
-      // Publish to mqtt
-      eventEmitter.emit('frame', modmeasure)
+      try {
+        frames.push(await this.processModule(station, module))
+      } catch (e) {
+        logger.warn(`Unable to process module ${module._id} of ${station.station_name} (${e.message})`)
+      }
     }
+    return frames
+  }
+
+  /**
+   * Process Station module data
+   *
+   * @param {object} station Data from a user Weather Station
+   * @param {object} module Data from a module of the station
+   * @return {object} Published frame
+   */
+  async processModule (station, module) {
+    // Module dashboard_data, with the wind of the station for outdoor modules
+    const wind = module.type === 'NAModule1' ? this.getStationWind(station) : undefined
+    const modmeasure = this.enrichMeasure(await this.processMeasure(this.getDashboard(module)), wind)
+    modmeasure.id = module._id
+    modmeasure.name = module.module_name
+    modmeasure.type = module.type
+    modmeasure.home = station.home_name
+    modmeasure.online = (module.reachable) ? 1 : 0
+    modmeasure.rfstatus = module.rf_status
+    modmeasure.battery = module.battery_percent
+    this.devices.set(module._id, { deviceId: station._id, moduleId: module._id, type: module.type })
+    // Publish to mqtt
+    eventEmitter.emit('frame', modmeasure)
+    return modmeasure
   }
 
   /**
    * Process AirCare data
    *
    * @param {object} aircare Data from a user Smart Indoor Air Quality Monitor
+   * @return {Array} Published frames
    */
   async processAircare (aircare) {
     // Aircare dashboard_data
-    const measure = await this.processMeasure(aircare.dashboard_data)
+    const measure = this.enrichMeasure(await this.processMeasure(this.getDashboard(aircare)))
     // Aircare information
     measure.id = aircare._id
     measure.name = aircare.station_name
@@ -371,8 +992,276 @@ class NetatmoClient {
     measure.module = aircare.module_name
     measure.online = (aircare.reachable) ? 1 : 0
     measure.wifistatus = aircare.wifi_status
+    this.devices.set(aircare._id, { deviceId: aircare._id, type: aircare.type })
+    // Publish to mqtt
+    eventEmitter.emit('frame', measure)
+    return [measure]
+  }
+
+  /**
+   * Process Energy home data
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} status Status of the home (homestatus)
+   * @return {Array} Published frames
+   */
+  processHome (home, status) {
+    const frames = []
+    logger.debug('Home status: ' + JSON.stringify(status))
+    const rooms = new Map((home.rooms || []).map((room) => [room.id, room]))
+    const modules = new Map((home.modules || []).map((module) => [module.id, module]))
+    for (const room of status.rooms || []) {
+      if (room.therm_measured_temperature === undefined && room.therm_setpoint_temperature === undefined) {
+        continue
+      }
+      try {
+        frames.push(this.processRoom(home, rooms.get(room.id) || {}, room))
+      } catch (e) {
+        logger.warn(`Unable to process room ${room.id} of ${home.name} (${e.message})`)
+      }
+    }
+    for (const module of status.modules || []) {
+      if (!ENERGY_TYPES.includes(module.type)) {
+        continue
+      }
+      try {
+        frames.push(this.processEnergyModule(home, modules.get(module.id) || {}, module))
+      } catch (e) {
+        logger.warn(`Unable to process module ${module.id} of ${home.name} (${e.message})`)
+      }
+    }
+    return frames
+  }
+
+  /**
+   * Process Energy room data
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} room Room of the home topology
+   * @param {object} status Status of the room (homestatus)
+   * @return {object} Published frame
+   */
+  processRoom (home, room, status) {
+    const data = {}
+    if (status.therm_measured_temperature !== undefined) {
+      data.temperature = status.therm_measured_temperature
+    }
+    if (status.therm_setpoint_temperature !== undefined) {
+      data.setpoint = status.therm_setpoint_temperature
+    }
+    if (status.therm_setpoint_mode !== undefined) {
+      data.setpointmode = status.therm_setpoint_mode
+    }
+    if (status.therm_setpoint_end_time !== undefined) {
+      data.setpointendutc = status.therm_setpoint_end_time
+    }
+    if (status.heating_power_request !== undefined) {
+      data.heatingpower = status.heating_power_request
+    }
+    if (status.open_window !== undefined) {
+      data.openwindow = (status.open_window) ? 1 : 0
+    }
+    const measure = this.enrichMeasure(data)
+    // Room information
+    measure.id = `${home.id}/${status.id}`
+    measure.name = room.name
+    measure.type = ROOM_TYPE
+    measure.home = home.name
+    measure.online = (status.reachable) ? 1 : 0
+    this.devices.set(measure.id, { homeId: home.id, roomId: status.id, type: ROOM_TYPE })
     // Publish to mqtt
     eventEmitter.emit('frame', measure)
+    return measure
+  }
+
+  /**
+   * Process Energy module data
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} module Module of the home topology
+   * @param {object} status Status of the module (homestatus)
+   * @return {object} Published frame
+   */
+  processEnergyModule (home, module, status) {
+    const measure = {}
+    if (status.boiler_status !== undefined) {
+      measure.boilerstatus = (status.boiler_status) ? 1 : 0
+    }
+    // Module information
+    measure.id = status.id
+    measure.name = module.name
+    measure.type = status.type
+    measure.home = home.name
+    measure.online = (status.reachable) ? 1 : 0
+    if (status.rf_strength !== undefined) {
+      measure.rfstatus = status.rf_strength
+    }
+    if (status.wifi_strength !== undefined) {
+      measure.wifistatus = status.wifi_strength
+    }
+    if (status.battery_state !== undefined) {
+      measure.batterystate = status.battery_state
+    }
+    if (status.battery_level !== undefined) {
+      measure.batterylevel = status.battery_level
+    }
+    this.devices.set(status.id, { homeId: home.id, deviceId: status.bridge || status.id, moduleId: status.id, type: status.type })
+    // Publish to mqtt
+    eventEmitter.emit('frame', measure)
+    return measure
+  }
+
+  /**
+   * Process the cameras, doorbells, alarms and door tags of a home
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} status Status of the home (homestatus)
+   * @return {Array} Published frames
+   */
+  async processSecurityHome (home, status) {
+    const frames = []
+    logger.debug('Home status: ' + JSON.stringify(status))
+    const modules = new Map((home.modules || []).map((module) => [module.id, module]))
+    for (const module of status.modules || []) {
+      try {
+        if (SECURITY_TYPES.includes(module.type)) {
+          frames.push(await this.processCamera(home, modules.get(module.id) || {}, module))
+        } else if (ALARM_TYPES.includes(module.type)) {
+          frames.push(this.processAlarm(home, modules.get(module.id) || {}, module))
+        }
+      } catch (e) {
+        logger.warn(`Unable to process module ${module.id} of ${home.name} (${e.message})`)
+      }
+    }
+    return frames
+  }
+
+  /**
+   * Process camera or doorbell data
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} module Module of the home topology
+   * @param {object} status Status of the camera (homestatus)
+   * @return {object} Published frame
+   */
+  async processCamera (home, module, status) {
+    const measure = {}
+    if (status.monitoring !== undefined) {
+      measure.monitoring = (status.monitoring === 'on') ? 1 : 0
+    }
+    if (status.sd_status !== undefined) {
+      measure.sdstatus = status.sd_status
+    }
+    if (status.alim_status !== undefined) {
+      measure.powerstatus = status.alim_status
+    }
+    if (status.vpn_url) {
+      const localUrl = status.is_local ? await this.getLocalUrl(status.vpn_url) : undefined
+      measure.snapshoturl = (localUrl || status.vpn_url) + SNAPSHOT_PATH
+    }
+    // Camera information
+    measure.id = status.id
+    measure.name = module.name
+    measure.type = status.type
+    measure.home = home.name
+    measure.online = (status.status === 'on' || status.reachable) ? 1 : 0
+    if (status.wifi_strength !== undefined) {
+      measure.wifistatus = status.wifi_strength
+    }
+    this.devices.set(status.id, { homeId: home.id, deviceId: status.id, type: status.type })
+    // Publish to mqtt
+    eventEmitter.emit('frame', measure)
+    return measure
+  }
+
+  /**
+   * Process smoke alarm, CO alarm or door tag data, and emit an event on detection changes
+   *
+   * @param {object} home Topology of a user home (homesdata)
+   * @param {object} module Module of the home topology
+   * @param {object} status Status of the module (homestatus)
+   * @return {object} Published frame
+   */
+  processAlarm (home, module, status) {
+    const measure = {}
+    if (status.smoke_detected !== undefined) {
+      measure.smoke = (status.smoke_detected) ? 1 : 0
+    }
+    if (status.co_status !== undefined) {
+      measure.co = (status.co_status > 0) ? 1 : 0
+      measure.costatus = status.co_status
+    }
+    if (status.status === 'open' || status.status === 'closed') {
+      measure.open = (status.status === 'open') ? 1 : 0
+    }
+    if (status.tampered !== undefined) {
+      measure.tampered = (status.tampered) ? 1 : 0
+    }
+    if (status.last_sound_test_result !== undefined) {
+      measure.teststatus = status.last_sound_test_result
+    }
+    // Module information
+    measure.id = status.id
+    measure.name = module.name
+    measure.type = status.type
+    measure.home = home.name
+    measure.online = (status.reachable === false) ? 0 : 1
+    if (status.rf_strength !== undefined) {
+      measure.rfstatus = status.rf_strength
+    }
+    if (status.wifi_strength !== undefined) {
+      measure.wifistatus = status.wifi_strength
+    }
+    if (status.battery_state !== undefined) {
+      measure.batterystate = status.battery_state
+    }
+    if (status.battery_level !== undefined) {
+      measure.batterylevel = status.battery_level
+    }
+    if (status.last_seen !== undefined) {
+      measure.lastseen = status.last_seen
+    }
+    this.devices.set(status.id, { homeId: home.id, deviceId: status.bridge || status.id, moduleId: status.id, type: status.type })
+    this.emitTransitions(measure)
+    // Publish to mqtt
+    eventEmitter.emit('frame', measure)
+    return measure
+  }
+
+  /**
+   * Emit an event for each detection value changed since the previous frame of an alarm or door tag
+   *
+   * @param {object} measure Frame of the alarm or door tag
+   */
+  emitTransitions (measure) {
+    const previous = this.detections.get(measure.id)
+    this.detections.set(measure.id, measure)
+    if (!previous) {
+      return
+    }
+    for (const [key, [on, off]] of Object.entries(TRANSITIONS)) {
+      if (measure[key] === undefined || previous[key] === undefined || measure[key] === previous[key]) {
+        continue
+      }
+      logger.info(`${measure.name || measure.id}: ${measure[key] ? on : off}`)
+      eventEmitter.emit('event', {
+        type: measure[key] ? on : off,
+        time: Math.floor(Date.now() / 1000),
+        module: measure.id,
+        name: measure.name,
+        home: measure.home
+      })
+    }
+  }
+
+  /**
+   * Get the dashboard data of a device, Netatmo leaves it out when the device is unreachable
+   *
+   * @param {object} device Station, module or HomeCoach data
+   * @return {object} Dashboard data, empty for an unreachable device
+   */
+  getDashboard (device) {
+    return (device.reachable === false && !device.dashboard_data) ? {} : device.dashboard_data
   }
 
   /**
@@ -459,6 +1348,28 @@ class NetatmoClient {
     }
     return data
   }
+
+  /**
+   * Add derived metrics to processed measure and convert its units
+   *
+   * @param {object} data Processed measure, in Netatmo metric units
+   * @param {number} wind Wind speed of the station (km/h), undefined if unknown
+   * @returns {object} data Sensor values and derived metrics in the selected units
+   */
+  enrichMeasure (data, wind) {
+    return this.units.convert(this.derived.enrich(data, wind))
+  }
+
+  /**
+   * Get the wind speed measured by the wind module of a station
+   *
+   * @param {object} station Data from a user Weather Station
+   * @return {number} Wind speed (km/h), undefined if the station has no wind module
+   */
+  getStationWind (station) {
+    const wind = (station.modules || []).find((module) => module.type === 'NAModule2')
+    return wind && wind.dashboard_data ? wind.dashboard_data.WindStrength : undefined
+  }
 }
 
 module.exports = NetatmoClient
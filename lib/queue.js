@@ -0,0 +1,129 @@
+const fs = require('fs')
+const logger = require('./logs')
+const { eventEmitter, writeJsonFile } = require('./utils')
+
+class OfflineQueue {
+  /**
+   * Create a bounded queue of messages waiting for the broker
+   *
+   * @param {number} maxSize Maximal number of queued messages, the oldest are dropped
+   * @param {number} maxAge Maximal age of queued messages (hours), older ones are dropped
+   * @param {string} file JSON file keeping the queue across restarts (default none)
+   */
+  constructor (maxSize = 1000, maxAge = 24, file = null) {
+    this.maxSize = maxSize
+    this.maxAge = maxAge * 3600000
+    this.file = file
+    this.items = []
+    this.dropped = 0
+    this.pending = Promise.resolve()
+    this.dirty = false
+  }
+
+  /**
+   * Read the queue saved by a previous run
+   */
+  async load () {
+    if (!this.file) {
+      return
+    }
+    try {
+      const items = JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+      this.items = Array.isArray(items) ? items.concat(this.items) : this.items
+      logger.info(`${this.items.length} queued messages read from ${this.file}`)
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.warn(`Unable to read queue file ${this.file} (${e.message})`)
+      }
+    }
+    this.trim()
+  }
+
+  /**
+   * Number of queued messages
+   *
+   * @return {number}
+   */
+  get length () {
+    return this.items.length
+  }
+
+  /**
+   * Queue a message
+   *
+   * @param {string} topic Topic
+   * @param {string} payload Payload
+   * @param {object} options Publish options (`qos`, `retain`)
+   * @param {number} now Current time (ms)
+   */
+  push (topic, payload, options = {}, now = Date.now()) {
+    this.items.push({ topic, payload, options, time: now })
+    this.trim(now)
+    this.save()
+  }
+
+  /**
+   * Get the oldest message, dropping expired ones
+   *
+   * @param {number} now Current time (ms)
+   * @return {object} Message (`topic`, `payload`, `options`, `time`), undefined if the queue is empty
+   */
+  peek (now = Date.now()) {
+    this.trim(now)
+    return this.items[0]
+  }
+
+  /**
+   * Remove the oldest message, once published
+   */
+  shift () {
+    this.items.shift()
+    this.save()
+  }
+
+  /**
+   * Drop expired messages and the oldest ones over the maximal size
+   *
+   * @param {number} now Current time (ms)
+   */
+  trim (now = Date.now()) {
+    const expired = this.items.findIndex((item) => now - item.time <= this.maxAge)
+    this.drop(expired === -1 ? this.items.length : expired, 'expired')
+    this.drop(this.items.length - this.maxSize, 'overflow')
+  }
+
+  /**
+   * Drop the oldest messages
+   *
+   * @param {number} count Number of messages to drop
+   * @param {string} reason Reason (`expired`, `overflow`)
+   */
+  drop (count, reason) {
+    if (count <= 0) {
+      return
+    }
+    this.items.splice(0, count)
+    this.dropped += count
+    this.save()
+    logger.warn(`${count} queued messages dropped (${reason})`)
+    eventEmitter.emit('dropped', count, reason)
+  }
+
+  /**
+   * Save the queue, writes are coalesced
+   */
+  save () {
+    if (!this.file || this.dirty) {
+      return
+    }
+    this.dirty = true
+    this.pending = this.pending.then(() => {
+      this.dirty = false
+      return writeJsonFile(this.file, this.items)
+    }).catch((e) => {
+      logger.warn(`Unable to save queue file ${this.file} (${e.message})`)
+    })
+  }
+}
+
+module.exports = OfflineQueue
@@ -0,0 +1,82 @@
+// private constants
+// Netatmo API limits, see https://dev.netatmo.com/guideline#rate-limits
+const NETATMO_LIMITS = [
+  { requests: 50, period: 10 }, // per user
+  { requests: 500, period: 3600 }, // per user
+  { requests: 200, period: 10 }, // per app
+  { requests: 2000, period: 3600 } // per app
+]
+
+class TokenBucket {
+  /**
+   * Create a bucket of request tokens, refilled continuously
+   *
+   * @param {number} capacity Maximal number of requests in a period
+   * @param {number} period Period (seconds)
+   */
+  constructor (capacity, period) {
+    if (!(capacity > 0) || !(period > 0)) {
+      throw new Error('Capacity and period must be provided')
+    }
+    this.capacity = capacity
+    this.rate = capacity / (period * 1000)
+    this.tokens = capacity
+    this.updated = Date.now()
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   *
+   * @param {number} now Current time (ms)
+   */
+  refill (now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.rate)
+    this.updated = now
+  }
+
+  /**
+   * Time until a token is available
+   *
+   * @param {number} now Current time (ms)
+   * @return {number} Delay (ms), 0 if a token is available
+   */
+  delay (now = Date.now()) {
+    this.refill(now)
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate)
+  }
+
+  /**
+   * Take a token
+   */
+  take () {
+    this.tokens -= 1
+  }
+}
+
+class RateLimiter {
+  /**
+   * Create a limiter enforcing several request limits
+   *
+   * @param {Array} limits Limits (`requests`, `period` in seconds), default Netatmo per user and per app limits
+   */
+  constructor (limits = NETATMO_LIMITS) {
+    this.buckets = limits.map((limit) => new TokenBucket(limit.requests, limit.period))
+  }
+
+  /**
+   * Wait until a request is allowed by all limits
+   */
+  async acquire () {
+    for (;;) {
+      const now = Date.now()
+      const delay = Math.max(0, ...this.buckets.map((bucket) => bucket.delay(now)))
+      if (!delay) {
+        this.buckets.forEach((bucket) => bucket.take())
+        return
+      }
+      await new Promise((resolve) => setTimeout(resolve, delay))
+    }
+  }
+}
+
+module.exports = { NETATMO_LIMITS, TokenBucket, RateLimiter }
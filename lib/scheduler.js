@@ -0,0 +1,106 @@
+const logger = require('./logs')
+
+// private constants
+const UPLOAD_PERIOD = 600 // Netatmo devices upload their data every 10 minutes
+const UPLOAD_DELAY = 30 // Time for an upload to be available on the API
+const MAX_BACKOFF = 600
+
+class PollScheduler {
+  /**
+   * Create a poll scheduler aligned on the devices upload cycle
+   *
+   * @param {string} name Name of the polled data (for logs)
+   * @param {function} poll Async function polling data, returns the published frames
+   * @param {number} interval Minimal time between two polls (seconds)
+   */
+  constructor (name, poll, interval = 60) {
+    if (!name || !poll) {
+      throw new Error('Name and poll function must be provided')
+    }
+    this.name = name
+    this.poll = poll
+    this.interval = interval
+    // last measure time by device id
+    this.lastTimes = new Map()
+    this.misses = 0
+    this.timeoutId = null
+    this.stopped = false
+  }
+
+  /**
+   * Run the first poll and schedule the next ones, a failed first poll is retried like the next ones
+   */
+  async start () {
+    this.stopped = false
+    await this.run()
+  }
+
+  /**
+   * Stop polling
+   */
+  stop () {
+    this.stopped = true
+    clearTimeout(this.timeoutId)
+  }
+
+  /**
+   * Schedule the next poll
+   *
+   * @param {number} delay Time before the next poll (seconds)
+   */
+  schedule (delay) {
+    if (this.stopped) {
+      return
+    }
+    logger.debug(`Next ${this.name} poll in ${delay}s`)
+    this.timeoutId = setTimeout(this.run.bind(this), delay * 1000)
+  }
+
+  /**
+   * Poll and schedule the next poll
+   */
+  async run () {
+    let delay = this.interval
+    try {
+      const frames = await this.poll()
+      delay = this.nextDelay(frames)
+    } catch (e) {
+      logger.warn(`Unable to poll ${this.name} (${e.message})`)
+    }
+    this.schedule(delay)
+  }
+
+  /**
+   * Compute time before the next poll: just after the next expected upload of a device,
+   * backing off while the devices do not upload new values.
+   *
+   * @param {Array} frames Frames of the last poll
+   * @param {number} now Current timestamp (seconds)
+   * @return {number} Delay (seconds)
+   */
+  nextDelay (frames, now = Date.now() / 1000) {
+    let changed = false
+    let nextUpload = Infinity
+    for (const frame of frames) {
+      if (!frame.id || !frame.timeutc) {
+        continue
+      }
+      if (this.lastTimes.get(frame.id) !== frame.timeutc) {
+        changed = true
+        this.lastTimes.set(frame.id, frame.timeutc)
+      }
+      const expected = frame.timeutc + UPLOAD_PERIOD + UPLOAD_DELAY
+      if (expected > now) {
+        nextUpload = Math.min(nextUpload, expected)
+      }
+    }
+    this.misses = changed ? 0 : this.misses + 1
+    if (nextUpload !== Infinity && changed) {
+      return Math.max(this.interval, Math.ceil(nextUpload - now))
+    }
+    // Upload is late, or no new values since last poll
+    return Math.min(MAX_BACKOFF, this.interval * Math.pow(2, this.misses))
+  }
+}
+
+module.exports = PollScheduler
@@ -0,0 +1,84 @@
+const http = require('http')
+const logger = require('./logs')
+
+class HttpServer {
+  /**
+   * Create the HTTP server of the bridge (metrics and health check)
+   *
+   * @param {number} port Listening port
+   * @param {string} host Listening address (default all interfaces)
+   */
+  constructor (port, host) {
+    if (!port) {
+      throw new Error('HTTP port must be provided')
+    }
+    this.port = port
+    this.host = host
+    this.server = null
+    // handler by path
+    this.routes = new Map()
+  }
+
+  /**
+   * Add a route answered to GET requests
+   *
+   * @param {string} path Request path (example: `/metrics`)
+   * @param {function} handler Async function returning the response (`status`, `type`, `body`)
+   */
+  route (path, handler) {
+    this.routes.set(path, handler)
+  }
+
+  /**
+   * Start listening
+   */
+  async start () {
+    this.server = http.createServer(this.handleRequest.bind(this))
+    await new Promise((resolve, reject) => {
+      this.server.once('error', (e) => reject(new Error(`HTTP server error [${e.message}]`)))
+      this.server.listen(this.port, this.host, resolve)
+    })
+    logger.info(`HTTP server listening on port ${this.server.address().port}`)
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop () {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve))
+      this.server = null
+    }
+  }
+
+  /**
+   * Answer a request with the handler of its path
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest (req, res) {
+    const handler = this.routes.get(new URL(req.url, 'http://localhost').pathname)
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      res.end('Not found\n')
+      return
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' })
+      res.end('Method not allowed\n')
+      return
+    }
+    try {
+      const { status = 200, type = 'text/plain', body = '' } = await handler()
+      res.writeHead(status, { 'Content-Type': type })
+      res.end(req.method === 'HEAD' ? undefined : body)
+    } catch (e) {
+      logger.warn(`Unable to answer ${req.url} (${e.message})`)
+      res.writeHead(500, { 'Content-Type': 'text/plain' })
+      res.end('Internal error\n')
+    }
+  }
+}
+
+module.exports = HttpServer
@@ -0,0 +1,76 @@
+const fs = require('fs')
+const logger = require('./logs')
+const { writeJsonFile } = require('./utils')
+
+// private constants
+const SAVE_DELAY = 10000
+
+class StateStore {
+  /**
+   * Create a store keeping the bridge state across restarts in a JSON file
+   *
+   * @param {string} stateFile Path of the state file
+   */
+  constructor (stateFile) {
+    if (!stateFile) {
+      throw new Error('State file must be provided')
+    }
+    this.file = stateFile
+    this.data = {}
+    this.timeoutId = null
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Read saved state
+   */
+  async load () {
+    try {
+      this.data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.warn(`Unable to read state file ${this.file} (${e.message})`)
+      }
+      this.data = {}
+    }
+  }
+
+  /**
+   * Get a state value
+   *
+   * @param {string} key State name
+   * @param {*} defaultValue Value if not set
+   * @return {*} Value
+   */
+  get (key, defaultValue) {
+    return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : defaultValue
+  }
+
+  /**
+   * Set a state value, saved a few seconds later with the other changes
+   *
+   * @param {string} key State name
+   * @param {*} value Value
+   */
+  set (key, value) {
+    this.data[key] = value
+    if (!this.timeoutId) {
+      this.timeoutId = setTimeout(this.save.bind(this), SAVE_DELAY)
+      this.timeoutId.unref()
+    }
+  }
+
+  /**
+   * Save state now
+   */
+  async save () {
+    clearTimeout(this.timeoutId)
+    this.timeoutId = null
+    this.pending = this.pending.then(() => writeJsonFile(this.file, this.data)).catch((e) => {
+      logger.warn(`Unable to save state file ${this.file} (${e.message})`)
+    })
+    await this.pending
+  }
+}
+
+module.exports = StateStore
@@ -0,0 +1,101 @@
+const { eventEmitter } = require('./utils')
+
+// private constants
+const ADAPTIVE_PERIOD = 630 // Longest time between two adaptive mode polls (upload cycle and delay)
+
+class BridgeStatus {
+  /**
+   * Create the diagnostics status of the bridge
+   *
+   * @param {NetatmoClient} netatmo Netatmo client (token expiry and devices seen)
+   * @param {number} threshold Polls may fail, or no poll may succeed after the next expected one, for up to threshold minutes before the bridge is unhealthy
+   * @param {number} interval Time between two polls (seconds)
+   */
+  constructor (netatmo, threshold = 10, interval = 60) {
+    if (!netatmo) {
+      throw new Error('Netatmo client must be provided')
+    }
+    this.netatmo = netatmo
+    this.threshold = threshold * 60
+    this.interval = interval
+    this.startTime = Math.floor(Date.now() / 1000)
+    this.lastSuccess = null
+    this.lastError = null
+    this.lastErrorTime = null
+    // consecutive failures and time of the first one, by polled source
+    this.failures = new Map()
+  }
+
+  /**
+   * Listen to polls
+   */
+  start () {
+    eventEmitter.on('poll', this.update.bind(this))
+  }
+
+  /**
+   * Update the status with a poll result and emit it
+   *
+   * @param {object} poll Poll result (`source`, `error`)
+   * @param {number} now Current time (Unix time)
+   */
+  update (poll, now = Math.floor(Date.now() / 1000)) {
+    if (poll.error) {
+      const failure = this.failures.get(poll.source) || { count: 0, since: now }
+      this.failures.set(poll.source, { count: failure.count + 1, since: failure.since })
+      this.lastError = poll.error.message
+      this.lastErrorTime = now
+    } else {
+      this.failures.delete(poll.source)
+      this.lastSuccess = now
+    }
+    eventEmitter.emit('status', this.toJSON())
+  }
+
+  /**
+   * Get the status
+   *
+   * @return {object} Status (`lastSuccess`, `lastError`, `lastErrorTime`, `consecutiveFailures`, `tokenExpiry`, `devices`)
+   */
+  toJSON () {
+    return {
+      lastSuccess: this.lastSuccess,
+      lastError: this.lastError,
+      lastErrorTime: this.lastErrorTime,
+      consecutiveFailures: Math.max(0, ...[...this.failures.values()].map((failure) => failure.count)),
+      tokenExpiry: this.netatmo.expiresInTimestamp,
+      devices: this.netatmo.devices.size
+    }
+  }
+
+  /**
+   * Check if polls have not been failing, or not completing, for longer than the threshold
+   *
+   * @param {number} now Current time (Unix time)
+   * @return {boolean}
+   */
+  isHealthy (now = Math.floor(Date.now() / 1000)) {
+    // A hung poll loop emits no failed poll
+    const lastSuccess = this.lastSuccess || this.startTime
+    if (now - lastSuccess > this.threshold + Math.max(this.interval, ADAPTIVE_PERIOD)) {
+      return false
+    }
+    return [...this.failures.values()].every((failure) => now - failure.since <= this.threshold)
+  }
+
+  /**
+   * Answer the health check
+   *
+   * @return {object} HTTP response (`status`, `type`, `body`)
+   */
+  health () {
+    const healthy = this.isHealthy()
+    return {
+      status: healthy ? 200 : 503,
+      type: 'application/json',
+      body: JSON.stringify({ healthy, ...this.toJSON() })
+    }
+  }
+}
+
+module.exports = BridgeStatus
@@ -0,0 +1,81 @@
+const logger = require('./logs')
+const { eventEmitter } = require('./utils')
+
+// private constants
+const EXIT_TIMEOUT = 10000 // Time for the SIGTERM handlers to disconnect and save state
+
+class PollSupervisor {
+  /**
+   * Create a supervisor escalating consecutive poll failures
+   *
+   * @param {NetatmoClient} netatmo Netatmo client
+   * @param {object} options Consecutive failures of a polled source before re-authenticating (`reauthAfter`), and of every polled source before exiting (`exitAfter`), 0 to disable
+   */
+  constructor (netatmo, options = {}) {
+    if (!netatmo) {
+      throw new Error('Netatmo client must be provided')
+    }
+    this.netatmo = netatmo
+    this.reauthAfter = options.reauthAfter !== undefined ? options.reauthAfter : 3
+    this.exitAfter = options.exitAfter !== undefined ? options.exitAfter : 10
+    // consecutive failures by polled source
+    this.failures = new Map()
+    // sources polled at least once
+    this.sources = new Set()
+    this.exiting = false
+  }
+
+  /**
+   * Listen to polls
+   */
+  start () {
+    eventEmitter.on('poll', this.check.bind(this))
+  }
+
+  /**
+   * Count consecutive failures of a polled source and escalate
+   *
+   * @param {object} poll Poll result (`source`, `error`)
+   */
+  async check (poll) {
+    this.sources.add(poll.source)
+    if (!poll.error) {
+      this.failures.delete(poll.source)
+      return
+    }
+    const failures = (this.failures.get(poll.source) || 0) + 1
+    this.failures.set(poll.source, failures)
+    // A single failing source does not stop the others
+    if (this.exitAfter && [...this.sources].every((source) => (this.failures.get(source) || 0) >= this.exitAfter)) {
+      this.exit(`${this.exitAfter} consecutive polls of every source failed (${poll.source}: ${poll.error.message})`)
+      return
+    }
+    if (this.reauthAfter && failures % this.reauthAfter === 0) {
+      logger.warn(`${failures} consecutive ${poll.source} polls failed, authenticating again`)
+      try {
+        await this.netatmo.reauthenticate()
+      } catch (e) {
+        logger.warn(`Unable to authenticate (${e.message})`)
+      }
+    }
+  }
+
+  /**
+   * Stop the bridge with an error exit code
+   *
+   * @param {string} reason Exit reason
+   */
+  exit (reason) {
+    if (this.exiting) {
+      return
+    }
+    this.exiting = true
+    logger.error(`${reason}, exiting`)
+    process.exitCode = 1
+    // Stop polling, disconnect and save state
+    process.emit('SIGTERM')
+    setTimeout(() => process.exit(1), EXIT_TIMEOUT).unref()
+  }
+}
+
+module.exports = PollSupervisor
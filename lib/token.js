@@ -0,0 +1,90 @@
+const fs = require('fs')
+const logger = require('./logs')
+const { writeJsonFile } = require('./utils')
+
+class FileTokenStore {
+  /**
+   * Create a token store saved in a JSON file
+   *
+   * @param {string} tokenFile Path of the token file
+   */
+  constructor (tokenFile) {
+    if (!tokenFile) {
+      throw new Error('Token file must be provided')
+    }
+    this.file = tokenFile
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Read saved token
+   *
+   * @return {object} Token (with `accessToken`, `refreshToken` and `expiresInTimestamp` attributes), empty if none
+   */
+  async load () {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.warn(`Unable to read token file ${this.file} (${e.message})`)
+      }
+      return {}
+    }
+  }
+
+  /**
+   * Save token, readable by the owner only
+   *
+   * @param {object} token Token (with `accessToken`, `refreshToken` and `expiresInTimestamp` attributes)
+   */
+  async save (token) {
+    // Serialize writes, tokens may rotate while the previous one is being written
+    this.pending = this.pending.catch(() => {}).then(() => writeJsonFile(this.file, token))
+    await this.pending
+  }
+}
+
+class MqttTokenStore {
+  /**
+   * Create a token store saved in a retained MQTT topic
+   *
+   * @param {MqttClient} mqttClient Connected mqtt client
+   * @param {string} subtopic Subtopic of the token (default `token`)
+   */
+  constructor (mqttClient, subtopic = 'token') {
+    if (!mqttClient) {
+      throw new Error('MQTT client must be provided')
+    }
+    this.mqtt = mqttClient
+    this.subtopic = subtopic
+  }
+
+  /**
+   * Read saved token
+   *
+   * @return {object} Token (with `accessToken`, `refreshToken` and `expiresInTimestamp` attributes), empty if none
+   */
+  async load () {
+    const payload = await this.mqtt.readRetained(this.subtopic)
+    if (!payload) {
+      return {}
+    }
+    try {
+      return JSON.parse(payload)
+    } catch (e) {
+      logger.warn(`Unable to read token topic ${this.mqtt.getFrameTopic(this.subtopic)} (${e.message})`)
+      return {}
+    }
+  }
+
+  /**
+   * Save token
+   *
+   * @param {object} token Token (with `accessToken`, `refreshToken` and `expiresInTimestamp` attributes)
+   */
+  async save (token) {
+    await this.mqtt.publishRetained(this.subtopic, JSON.stringify(token))
+  }
+}
+
+module.exports = { FileTokenStore, MqttTokenStore }
@@ -0,0 +1,146 @@
+const { eventEmitter } = require('./utils')
+
+// private constants
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+// Beaufort scale lower bounds (km/h)
+const BEAUFORT = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118]
+// Frame keys, units (symbol, conversion from and optional reversion to the Netatmo metric value) and Netatmo preference of each quantity
+const QUANTITIES = {
+  temperature: {
+    keys: ['temperature', 'mintemp', 'maxtemp', 'setpoint', 'dewpoint', 'heatindex', 'windchill', 'feelslike'],
+    units: {
+      C: { symbol: '°C', convert: (value) => value, revert: (value) => value },
+      F: { symbol: '°F', convert: (value) => round(value * 9 / 5 + 32, 1), revert: (value) => round((value - 32) * 5 / 9, 1) }
+    },
+    preference: (administrative) => ['C', 'F'][administrative.unit]
+  },
+  pressure: {
+    keys: ['pressure', 'pressureabs'],
+    units: {
+      mbar: { symbol: 'mbar', convert: (value) => value },
+      inHg: { symbol: 'inHg', convert: (value) => round(value * 0.02953, 2) },
+      mmHg: { symbol: 'mmHg', convert: (value) => round(value * 0.750062, 1) }
+    },
+    preference: (administrative) => ['mbar', 'inHg', 'mmHg'][administrative.pressureunit]
+  },
+  wind: {
+    keys: ['windstrength', 'windstrenghtmax', 'guststrength'],
+    units: {
+      kmh: { symbol: 'km/h', convert: (value) => value },
+      mph: { symbol: 'mph', convert: (value) => round(value / 1.609344, 1) },
+      ms: { symbol: 'm/s', convert: (value) => round(value / 3.6, 1) },
+      beaufort: { symbol: 'Beaufort', convert: (value) => BEAUFORT.filter((bound) => value >= bound).length },
+      knots: { symbol: 'kn', convert: (value) => round(value / 1.852, 1) }
+    },
+    preference: (administrative) => ['kmh', 'mph', 'ms', 'beaufort', 'knots'][administrative.windunit]
+  },
+  rain: {
+    keys: ['rain', 'sumrain', 'sumrain1', 'sumrain24'],
+    units: {
+      mm: { symbol: 'mm', convert: (value) => value },
+      in: { symbol: 'in', convert: (value) => round(value / 25.4, 3) }
+    },
+    preference: (administrative) => ['mm', 'in'][administrative.unit]
+  }
+}
+const UNITS = Object.fromEntries(Object.entries(QUANTITIES).map(([quantity, { units }]) => [quantity, ['auto', ...Object.keys(units)]]))
+
+class UnitConverter {
+  /**
+   * Create a converter of frame values from Netatmo metric units
+   *
+   * @param {object} units Unit by quantity (`temperature`, `pressure`, `wind`, `rain`), `auto` follows the Netatmo account preferences (default metric)
+   */
+  constructor (units = {}) {
+    for (const [quantity, unit] of Object.entries(units)) {
+      if (!UNITS[quantity] || !UNITS[quantity].includes(unit)) {
+        throw new Error(`Invalid ${quantity} unit ${unit}`)
+      }
+    }
+    this.units = units
+    // units of the Netatmo account, by quantity
+    this.preferences = {}
+    this.symbols = null
+  }
+
+  /**
+   * Follow the unit preferences of the Netatmo account, and emit the units when they change
+   *
+   * @param {object} administrative User preferences (`unit`, `windunit`, `pressureunit`)
+   */
+  setPreferences (administrative = {}) {
+    for (const [quantity, { preference }] of Object.entries(QUANTITIES)) {
+      this.preferences[quantity] = preference(administrative)
+    }
+    const symbols = this.getSymbols()
+    if (JSON.stringify(symbols) !== JSON.stringify(this.symbols)) {
+      this.symbols = symbols
+      eventEmitter.emit('units', symbols)
+    }
+  }
+
+  /**
+   * Get the unit of a quantity
+   *
+   * @param {string} quantity Quantity (`temperature`, `pressure`, `wind`, `rain`)
+   * @return {string} Unit
+   */
+  getUnit (quantity) {
+    const units = Object.keys(QUANTITIES[quantity].units)
+    const unit = this.units[quantity] || units[0]
+    if (unit === 'auto') {
+      return units.includes(this.preferences[quantity]) ? this.preferences[quantity] : units[0]
+    }
+    return unit
+  }
+
+  /**
+   * Get the unit symbols of the converted frame values
+   *
+   * @return {object} Unit symbol by frame key
+   */
+  getSymbols () {
+    const symbols = {}
+    for (const [quantity, { keys, units }] of Object.entries(QUANTITIES)) {
+      for (const key of keys) {
+        symbols[key] = units[this.getUnit(quantity)].symbol
+      }
+    }
+    return symbols
+  }
+
+  /**
+   * Convert the values of a frame
+   *
+   * @param {object} data Frame values in Netatmo metric units
+   * @return {object} Frame values in the selected units
+   */
+  convert (data) {
+    for (const [quantity, { keys, units }] of Object.entries(QUANTITIES)) {
+      const { convert } = units[this.getUnit(quantity)]
+      for (const key of keys) {
+        if (typeof data[key] === 'number') {
+          data[key] = convert(data[key])
+        }
+      }
+    }
+    return data
+  }
+
+  /**
+   * Convert a value in the selected unit back to the Netatmo metric unit
+   *
+   * @param {string} quantity Quantity (`temperature`)
+   * @param {number} value Value in the selected unit
+   * @return {number} Value in the Netatmo metric unit
+   */
+  toMetric (quantity, value) {
+    const { revert } = QUANTITIES[quantity].units[this.getUnit(quantity)]
+    if (!revert) {
+      throw new Error(`Unable to convert ${quantity} values to metric`)
+    }
+    return revert(value)
+  }
+}
+
+module.exports = { UNITS, UnitConverter }
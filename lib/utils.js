@@ -1,4 +1,19 @@
 const { EventEmitter } = require('events')
+const fs = require('fs')
+const path = require('path')
 const eventEmitter = new EventEmitter()
 
-module.exports = { eventEmitter }
+/**
+ * Write a JSON file readable by the owner only. The file is replaced atomically so a crash never leaves a truncated file.
+ * @param file
+ * @param data
+ */
+async function writeJsonFile (file, data) {
+  const tmpFile = `${file}.${process.pid}.tmp`
+  await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 })
+  await fs.promises.writeFile(tmpFile, JSON.stringify(data, null, 2), { mode: 0o600 })
+  await fs.promises.chmod(tmpFile, 0o600)
+  await fs.promises.rename(tmpFile, file)
+}
+
+module.exports = { eventEmitter, writeJsonFile }
@@ -0,0 +1,87 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { AlertEngine, parseRules } = require('../lib/alerts')
+const { eventEmitter } = require('../lib/utils')
+
+const bedroom = { co2: 900, temperature: 20.1, id: '03:00:00:00:00:00', name: 'Bedroom', type: 'NAModule4', home: 'Home', online: 1, battery: 60 }
+const outdoor = { temperature: 15.5, id: '02:00:00:00:00:00', name: 'Outdoor', type: 'NAModule1', home: 'Home', online: 1, battery: 19 }
+
+describe('Alert rules', () => {
+  test.each([
+    ['rules', 'expected a list of rules'],
+    [[{ above: 1 }], 'rule 1 has no key'],
+    [[{ key: 'co2', above: 1000 }, { key: 'co2' }], 'rule 2 needs a number above or below'],
+    [[{ key: 'co2', above: 1000, below: 400 }], 'rule 1 needs a number above or below'],
+    [[{ key: 'co2', above: '1000' }], 'rule 1 needs a number above or below'],
+    [[{ key: 'co2', above: 1000, duration: -1 }], 'rule 1 duration: -1 (expected a positive number)']
+  ])('should throw error on invalid rules %p', (rules, message) => {
+    expect(() => parseRules(rules)).toThrowError(new Error(message))
+  })
+  test('should set rule defaults', () => {
+    expect(parseRules([{ key: 'battery', below: 20, duration: 600 }])).toStrictEqual([
+      { name: 'battery', device: undefined, type: undefined, key: 'battery', above: undefined, below: 20, hysteresis: 0, duration: 600, clearDuration: 600 }
+    ])
+  })
+})
+
+describe('Alert engine', () => {
+  let spy
+  beforeEach(() => {
+    spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+  })
+  const events = () => spy.mock.calls.filter((call) => call[0] === 'alert').map((call) => [call[1].event, call[1].id, call[1].time])
+
+  test('should raise and clear alerts with hysteresis', () => {
+    const engine = new AlertEngine([{ name: 'co2', key: 'co2', above: 1000, hysteresis: 100 }])
+    engine.check({ ...bedroom, co2: 1100 }, 10)
+    engine.check({ ...bedroom, co2: 950 }, 20)
+    engine.check({ ...bedroom, co2: 1050 }, 30)
+    engine.check({ ...bedroom, co2: 900 }, 40)
+    expect(events()).toStrictEqual([['raise', bedroom.id, 10], ['clear', bedroom.id, 40]])
+    expect(spy).toHaveBeenCalledWith('alert', { rule: 'co2', event: 'raise', id: bedroom.id, name: 'Bedroom', type: 'NAModule4', home: 'Home', key: 'co2', value: 1100, threshold: 1000, time: 10 })
+  })
+  test('should raise alerts below a threshold', () => {
+    const engine = new AlertEngine([{ key: 'online', below: 1 }])
+    engine.check({ ...outdoor, online: 0 }, 10)
+    engine.check({ ...outdoor, online: 1 }, 20)
+    expect(events()).toStrictEqual([['raise', outdoor.id, 10], ['clear', outdoor.id, 20]])
+  })
+  test('should wait for the minimum durations', () => {
+    const engine = new AlertEngine([{ key: 'co2', above: 1000, duration: 600, clearDuration: 300 }])
+    engine.check({ ...bedroom, co2: 1100 }, 0)
+    engine.check({ ...bedroom, co2: 900 }, 300)
+    engine.check({ ...bedroom, co2: 1100 }, 600)
+    engine.check({ ...bedroom, co2: 1100 }, 1100)
+    engine.check({ ...bedroom, co2: 1200 }, 1200)
+    engine.check({ ...bedroom, co2: 900 }, 1300)
+    engine.check({ ...bedroom, co2: 900 }, 1600)
+    expect(events()).toStrictEqual([['raise', bedroom.id, 1200], ['clear', bedroom.id, 1600]])
+  })
+  test('should apply rules per device or module type', () => {
+    const engine = new AlertEngine([{ device: 'Bedroom', key: 'temperature', above: 20 }, { type: 'NAModule1', key: 'battery', below: 20 }])
+    engine.check(bedroom, 10)
+    engine.check({ ...outdoor, temperature: 25 }, 10)
+    engine.check({ ...bedroom, battery: 10 }, 10)
+    engine.check(outdoor, 10)
+    expect(events()).toStrictEqual([['raise', bedroom.id, 10], ['raise', outdoor.id, 10]])
+  })
+  test('should keep alerts of each device apart', () => {
+    const engine = new AlertEngine([{ key: 'battery', below: 20 }])
+    engine.check(outdoor, 10)
+    engine.check({ ...bedroom, battery: 10 }, 20)
+    engine.check(bedroom, 30)
+    expect(events()).toStrictEqual([['raise', outdoor.id, 10], ['raise', bedroom.id, 20], ['clear', bedroom.id, 30]])
+  })
+  test('should ignore frames without the value', () => {
+    const engine = new AlertEngine([{ key: 'co2', above: 1000 }])
+    engine.check(outdoor, 10)
+    expect(engine.states.size).toStrictEqual(0)
+  })
+  test('should check polled frames', () => {
+    spy.mockRestore()
+    const engine = new AlertEngine([{ key: 'battery', below: 20 }])
+    engine.start()
+    const alert = new Promise((resolve) => eventEmitter.once('alert', resolve))
+    eventEmitter.emit('frame', outdoor)
+    return expect(alert).resolves.toMatchObject({ event: 'raise', id: outdoor.id, value: 19 })
+  })
+})
@@ -0,0 +1,57 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const axios = require('axios')
+const MockAdapter = require('axios-mock-adapter')
+const mock = new MockAdapter(axios)
+
+const NetatmoClient = require('../lib/netatmo')
+const { authorize } = require('../lib/auth')
+
+const authResult = {
+  access_token: '2YotnFZFEjr1zCsicMWpAA',
+  expires_in: 10800,
+  refresh_token: 'tGzv3JOkF0XG5Qx2TlKWIA'
+}
+
+describe('Authorization code flow', () => {
+  let client
+  let authorizeUrl
+  beforeAll(() => {
+    mock
+      .onPost('/oauth2/token').reply(200, authResult)
+      .onAny().passThrough()
+  })
+  afterAll(() => {
+    mock.reset()
+  })
+  beforeEach(() => {
+    client = new NetatmoClient('clientId', 'clientSecret')
+    authorizeUrl = new Promise((resolve) => {
+      jest.spyOn(console, 'log').mockImplementation((message) => {
+        resolve(new URL(message.split('\n')[1]))
+      })
+    })
+  })
+
+  test('should exchange the code received on the callback', async () => {
+    const flow = authorize(client, 8181)
+    const url = await authorizeUrl
+    const redirectUri = url.searchParams.get('redirect_uri')
+    expect(redirectUri).toStrictEqual('http://localhost:8181/callback')
+    await axios.get(`${redirectUri}?state=${url.searchParams.get('state')}&code=mycode`)
+    await flow
+    expect(client.accessToken).toStrictEqual(authResult.access_token)
+    expect(new URLSearchParams(mock.history.post[0].data).get('code')).toStrictEqual('mycode')
+  })
+  test('should fail when state does not match', async () => {
+    const flow = expect(authorize(client, 8182)).rejects.toThrowError(new Error('Authorization failed: state mismatch'))
+    const url = await authorizeUrl
+    await expect(axios.get(`${url.searchParams.get('redirect_uri')}?state=wrong&code=mycode`)).rejects.toThrow()
+    await flow
+  })
+  test('should fail when the user refuses access', async () => {
+    const flow = expect(authorize(client, 8183, 'http://localhost:8183/netatmo')).rejects.toThrowError(new Error('Authorization failed: access_denied'))
+    const url = await authorizeUrl
+    await expect(axios.get(`http://localhost:8183/netatmo?state=${url.searchParams.get('state')}&error=access_denied`)).rejects.toThrow()
+    await flow
+  })
+})
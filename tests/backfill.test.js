@@ -0,0 +1,120 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const Backfill = require('../lib/backfill')
+const { UnitConverter } = require('../lib/units')
+const { eventEmitter } = require('../lib/utils')
+const logger = require('../lib/logs')
+
+const outdoor = { temperature: 15.5, humidity: 83, id: '01:00:00:00:00:00', name: 'Outdoor', type: 'NAModule1', home: 'Home', online: 1, timeutc: 1672119606 }
+
+/**
+ * In memory state store
+ */
+function memoryState (data = {}) {
+  return {
+    data,
+    get (key, defaultValue) { return this.data[key] !== undefined ? this.data[key] : defaultValue },
+    set (key, value) { this.data[key] = value }
+  }
+}
+
+describe('Create Backfill', () => {
+  test('should throw error if no client or state is provided', () => {
+    expect(() => { new Backfill() }).toThrowError(new Error('Netatmo client and state store must be provided'))
+  })
+})
+
+describe('Backfill', () => {
+  let netatmo
+  beforeEach(() => {
+    netatmo = {
+      devices: new Map([[outdoor.id, { deviceId: '70:00:00:00:00:00', moduleId: outdoor.id, type: 'NAModule1' }]]),
+      units: new UnitConverter(),
+      getMeasure: jest.fn().mockResolvedValue([{ beg_time: outdoor.timeutc - 1500, step_time: 300, value: [[15.1, 80], [15.2, 81], [15.3, 82]] }])
+    }
+  })
+
+  test('should remember last published time', () => {
+    const state = memoryState()
+    const backfill = new Backfill(netatmo, state)
+    backfill.setPublished(outdoor)
+    backfill.setPublished({ ...outdoor, timeutc: outdoor.timeutc - 600 })
+    expect(state.data).toStrictEqual({ lastPublished: { [outdoor.id]: outdoor.timeutc } })
+  })
+  test('should not backfill without gap', () => {
+    const backfill = new Backfill(netatmo, memoryState({ lastPublished: { [outdoor.id]: outdoor.timeutc - 600 } }))
+    backfill.check(outdoor)
+    backfill.check({ ...outdoor, id: 'unknown' })
+    expect(backfill.queue).toHaveLength(0)
+    expect(backfill.running).toBeNull()
+  })
+  test('should publish missed measures in order', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const backfill = new Backfill(netatmo, memoryState({ lastPublished: { [outdoor.id]: outdoor.timeutc - 1800 } }))
+    backfill.check(outdoor)
+    await backfill.running
+    expect(netatmo.getMeasure).toHaveBeenCalledWith('70:00:00:00:00:00', outdoor.id, 'max', 'temperature,humidity', outdoor.timeutc - 1799, outdoor.timeutc - 1, 1024)
+    expect(spy.mock.calls).toStrictEqual([
+      ['backfill', { timeutc: outdoor.timeutc - 1500, temperature: 15.1, humidity: 80, id: outdoor.id, name: 'Outdoor', type: 'NAModule1', home: 'Home' }],
+      ['backfill', { timeutc: outdoor.timeutc - 1200, temperature: 15.2, humidity: 81, id: outdoor.id, name: 'Outdoor', type: 'NAModule1', home: 'Home' }],
+      ['backfill', { timeutc: outdoor.timeutc - 900, temperature: 15.3, humidity: 82, id: outdoor.id, name: 'Outdoor', type: 'NAModule1', home: 'Home' }]
+    ])
+  })
+  test('should publish missed measures in the selected units', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    netatmo.units = new UnitConverter({ temperature: 'F' })
+    const backfill = new Backfill(netatmo, memoryState({ lastPublished: { [outdoor.id]: outdoor.timeutc - 1800 } }))
+    backfill.check(outdoor)
+    await backfill.running
+    expect(spy.mock.calls.map((call) => call[1].temperature)).toStrictEqual([59.2, 59.4, 59.5])
+  })
+  test('should limit backfill to max age', async () => {
+    jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const backfill = new Backfill(netatmo, memoryState({ lastPublished: { [outdoor.id]: outdoor.timeutc - 86400 * 3 } }), 1)
+    backfill.check(outdoor)
+    await backfill.running
+    expect(netatmo.getMeasure.mock.calls[0][4]).toBe(outdoor.timeutc - 3600)
+  })
+  test('should request next page when limit is reached', async () => {
+    jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    jest.spyOn(Backfill.prototype, 'throttle').mockResolvedValue()
+    const values = Array.from({ length: 1024 }, () => [15, 80])
+    netatmo.getMeasure
+      .mockResolvedValueOnce([{ beg_time: outdoor.timeutc - 400000, step_time: 300, value: values }])
+      .mockResolvedValueOnce([])
+    const backfill = new Backfill(netatmo, memoryState({ lastPublished: { [outdoor.id]: outdoor.timeutc - 400001 } }), 200)
+    backfill.check(outdoor)
+    await backfill.running
+    expect(netatmo.getMeasure).toHaveBeenCalledTimes(2)
+    expect(netatmo.getMeasure.mock.calls[1][4]).toBe(outdoor.timeutc - 400000 + 1023 * 300 + 1)
+  })
+  test('should show a warn if backfill fails', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    netatmo.getMeasure.mockRejectedValue(new Error('failed'))
+    const backfill = new Backfill(netatmo, memoryState({ lastPublished: { [outdoor.id]: outdoor.timeutc - 1800 } }))
+    backfill.check(outdoor)
+    await backfill.running
+    expect(spy).toHaveBeenCalledWith(`Unable to backfill measures of ${outdoor.id} (failed)`)
+  })
+  test('should wait between API requests', async () => {
+    jest.useFakeTimers()
+    const backfill = new Backfill(netatmo, memoryState())
+    await backfill.throttle()
+    let done = false
+    backfill.throttle().then(() => { done = true })
+    await jest.advanceTimersByTimeAsync(7000)
+    expect(done).toBeFalsy()
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(done).toBeTruthy()
+    jest.useRealTimers()
+  })
+  test('should check frames before they are published', () => {
+    const backfill = new Backfill(netatmo, memoryState())
+    const spy = jest.spyOn(backfill, 'check')
+    eventEmitter.on('frame', () => eventEmitter.emit('published', outdoor))
+    backfill.start()
+    eventEmitter.emit('frame', outdoor)
+    expect(spy).toHaveBeenCalledWith(outdoor)
+    expect(backfill.queue).toHaveLength(0)
+    eventEmitter.removeAllListeners()
+  })
+})
@@ -0,0 +1,120 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const tmpDir = path.join(os.tmpdir(), `mqtt4netatmo-config-${process.pid}`)
+const argv = process.argv
+
+/**
+ * Load config with arguments and environment
+ */
+function loadConfig (args, env = {}) {
+  process.argv = ['node', 'mqtt4netatmo', ...args]
+  Object.assign(process.env, env)
+  let config
+  jest.isolateModules(() => {
+    config = require('../lib/config')
+  })
+  return config
+}
+
+describe('Configuration sources', () => {
+  const configFile = path.join(tmpDir, 'config.yml')
+  const secretFile = path.join(tmpDir, 'secret')
+  beforeAll(() => {
+    fs.mkdirSync(tmpDir, { recursive: true })
+    fs.writeFileSync(configFile, 'clientId: fileId\nclientSecret: fileSecret\nmqttTopic: file\ndeadband:\n  temperature: 0.1\n')
+    fs.writeFileSync(secretFile, 'mySecret\n')
+  })
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+    process.argv = argv
+  })
+  afterEach(() => {
+    for (const name of Object.keys(process.env)) {
+      if (name.startsWith('MQTT4NETATMO_')) {
+        delete process.env[name]
+      }
+    }
+  })
+
+  test('should read config file', () => {
+    const config = loadConfig(['--config', configFile])
+    expect(config.clientId).toStrictEqual('fileId')
+    expect(config.mqttTopic).toStrictEqual('file')
+    expect(config.deadband).toStrictEqual({ temperature: 0.1 })
+  })
+  test('should read alert rules from config file', () => {
+    const alertFile = path.join(tmpDir, 'alerts.yml')
+    fs.writeFileSync(alertFile, 'clientId: fileId\nclientSecret: fileSecret\nalerts:\n  - name: bedroom-co2\n    device: Bedroom\n    key: co2\n    above: 1000\n    hysteresis: 100\n  - key: battery\n    below: 20\n')
+    expect(loadConfig(['--config', alertFile]).alerts).toStrictEqual([
+      { name: 'bedroom-co2', device: 'Bedroom', key: 'co2', above: 1000, hysteresis: 100 },
+      { key: 'battery', below: 20 }
+    ])
+  })
+  test('should read JSON config file', () => {
+    const jsonFile = path.join(tmpDir, 'config.json')
+    fs.writeFileSync(jsonFile, JSON.stringify({ clientId: 'jsonId', clientSecret: 'jsonSecret' }))
+    expect(loadConfig(['--config', jsonFile]).clientId).toStrictEqual('jsonId')
+  })
+  test('should prefer environment over config file', () => {
+    const config = loadConfig(['--config', configFile], { MQTT4NETATMO_MQTT_TOPIC: 'env', MQTT4NETATMO_DEADBAND__CO2: '20' })
+    expect(config.mqttTopic).toStrictEqual('env')
+    expect(config.deadband).toStrictEqual({ temperature: 0.1, co2: 20 })
+  })
+  test('should prefer command line over environment', () => {
+    const config = loadConfig(['--config', configFile, '-t', 'cli'], { MQTT4NETATMO_MQTT_TOPIC: 'env' })
+    expect(config.mqttTopic).toStrictEqual('cli')
+  })
+  test('should read secret files', () => {
+    const config = loadConfig(['-c', 'id'], { MQTT4NETATMO_CLIENT_SECRET_FILE: secretFile })
+    expect(config.clientSecret).toStrictEqual('mySecret')
+    expect(process.env.MQTT4NETATMO_CLIENT_SECRET_FILE).toBeUndefined()
+  })
+  test('should read file options from environment', () => {
+    const config = loadConfig(['-c', 'id', '-d', 'secret'], { MQTT4NETATMO_TOKEN_FILE: '/tmp/tok.json', MQTT4NETATMO_STATE_FILE: path.join(tmpDir, 'none') })
+    expect(config.tokenFile).toStrictEqual('/tmp/tok.json')
+    expect(config.stateFile).toStrictEqual(path.join(tmpDir, 'none'))
+  })
+  test('should prefer variable over secret file', () => {
+    const config = loadConfig(['-c', 'id'], { MQTT4NETATMO_CLIENT_SECRET: 'direct', MQTT4NETATMO_CLIENT_SECRET_FILE: secretFile })
+    expect(config.clientSecret).toStrictEqual('direct')
+  })
+})
+
+describe('Configuration validation', () => {
+  let exit
+  let error
+  beforeEach(() => {
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+    error = jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+  afterAll(() => {
+    process.argv = argv
+  })
+
+  test.each([
+    [['-u', 'http://127.0.0.1'], 'Invalid mqttUrl protocol: http: (expected mqtt: mqtts: ws: wss: tcp: ssl:)'],
+    [['-u', '127.0.0.1'], 'Invalid mqttUrl: 127.0.0.1'],
+    [['-t', 'netatmo/#'], 'Invalid mqttTopic: netatmo/#'],
+    [['--pollInterval', '0'], 'Invalid pollInterval: 0 (expected a number of seconds greater than 0)'],
+    [['--mqttMessageExpiry', '-1'], 'Invalid mqttMessageExpiry: -1 (expected a number of seconds)'],
+    [['--mqttKeepalive', '-5'], 'Invalid mqttKeepalive: -5 (expected a number of seconds)'],
+    [['--queueMaxAge', '0'], 'Invalid queueMaxAge: 0 (expected a number of hours greater than 0)'],
+    [['--exitAfter', '-1'], 'Invalid exitAfter: -1 (expected a number of polls)'],
+    [['--apiRetries', '-1'], 'Invalid apiRetries: -1 (expected a number of retries)'],
+    [['--httpPort', '70000'], 'Invalid httpPort: 70000'],
+    [['--healthThreshold', '0'], 'Invalid healthThreshold: 0 (expected a number of minutes greater than 0)'],
+    [['--deadband.co2', 'abc'], 'Invalid deadband.co2: abc (expected a positive number)'],
+    [['--alerts', '1'], 'Invalid alerts: expected a list of rules']
+  ])('should exit with a readable error for %p', (args, message) => {
+    expect(() => loadConfig(['-c', 'id', '-d', 'secret', ...args])).toThrowError('exit')
+    expect(exit).toHaveBeenCalledWith(1)
+    expect(error).toHaveBeenCalledWith(message)
+  })
+  test('should exit with a readable error for missing secret file', () => {
+    expect(() => loadConfig(['-c', 'id', '-d', 'secret'], { MQTT4NETATMO_PASSWORD_FILE: path.join(tmpDir, 'none') })).toThrowError('exit')
+    expect(error).toHaveBeenCalledWith(expect.stringMatching(/^Unable to read MQTT4NETATMO_PASSWORD_FILE secret file/))
+  })
+})
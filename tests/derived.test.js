@@ -0,0 +1,53 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { DERIVED, DerivedMetrics, dewPoint, absoluteHumidity, heatIndex, humidex, windChill, feelsLike, cardinal } = require('../lib/derived')
+
+describe('Comfort formulas', () => {
+  test('should compute dew point and absolute humidity', () => {
+    expect(dewPoint(20, 50)).toBeCloseTo(9.3, 1)
+    expect(absoluteHumidity(20, 50)).toBeCloseTo(8.6, 1)
+  })
+  test('should compute heat index when hot', () => {
+    expect(heatIndex(32, 70)).toBeCloseTo(40.4, 1)
+    expect(heatIndex(20, 50)).toStrictEqual(20)
+  })
+  test('should compute humidex when warm', () => {
+    expect(humidex(30, 70)).toBeCloseTo(41.2, 1)
+    expect(humidex(10, 50)).toStrictEqual(10)
+  })
+  test('should compute wind chill when cold and windy', () => {
+    expect(windChill(-5, 30)).toBeCloseTo(-13, 1)
+    expect(windChill(15, 30)).toStrictEqual(15)
+    expect(windChill(-5, 2)).toStrictEqual(-5)
+  })
+  test('should compute feels-like temperature', () => {
+    expect(feelsLike(-5, 80, 30)).toBeCloseTo(-13, 1)
+    expect(feelsLike(32, 70)).toBeCloseTo(40.4, 1)
+    expect(feelsLike(20, 50, 30)).toStrictEqual(20)
+    expect(feelsLike(32)).toStrictEqual(32)
+  })
+  test('should compute cardinal directions', () => {
+    expect([0, 11, 12, 75, 180, 350, 359].map(cardinal)).toStrictEqual(['N', 'N', 'NNE', 'ENE', 'S', 'N', 'N'])
+    expect(cardinal(-1)).toBeUndefined()
+    expect(cardinal(undefined)).toBeUndefined()
+  })
+})
+
+describe('Derived metrics', () => {
+  test('should throw error on invalid metric', () => {
+    expect(() => { new DerivedMetrics(['dewpoint', 'uv']) }).toThrowError(new Error('Invalid derived metric uv'))
+  })
+  test('should add no metric by default', () => {
+    expect(new DerivedMetrics().enrich({ temperature: 20, humidity: 50 }, 10)).toStrictEqual({ temperature: 20, humidity: 50 })
+  })
+  test('should add enabled metrics only', () => {
+    expect(new DerivedMetrics(['dewpoint', 'feelslike']).enrich({ temperature: -5, humidity: 80 }, 30)).toStrictEqual({ temperature: -5, humidity: 80, dewpoint: -7.9, feelslike: -13 })
+  })
+  test('should add all metrics of outdoor and wind values', () => {
+    const metrics = new DerivedMetrics(DERIVED)
+    expect(metrics.enrich({ temperature: -5, humidity: 80 }, 30)).toStrictEqual({ temperature: -5, humidity: 80, dewpoint: -7.9, abshumidity: 2.7, heatindex: -5, humidex: -5, windchill: -13, feelslike: -13 })
+    expect(metrics.enrich({ windangle: 75, gustangle: -1 })).toStrictEqual({ windangle: 75, gustangle: -1, winddir: 'ENE' })
+  })
+  test('should not compute humidity metrics without humidity', () => {
+    expect(new DerivedMetrics(DERIVED).enrich({ temperature: 20 })).toStrictEqual({ temperature: 20, feelslike: 20 })
+  })
+})
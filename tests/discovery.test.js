@@ -0,0 +1,67 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { buildDiscovery } = require('../lib/discovery')
+
+const outdoor = { temperature: 15.5, temptrend: 'up', humidity: 83, id: '01:00:00:00:00:00', name: 'Outdoor', type: 'NAModule1', home: 'Home', online: 1, rfstatus: 66, timeutc: 1672119606, battery: 75 }
+const homecoach = { co2: 967, healthidx: 1, humidity: 41, id: '70:00:00:00:00:00', module: 'string', name: 'Bedroom', noise: 42, online: 1, pressure: 45, temperature: 23.7, type: 'NHC', wifistatus: 22 }
+
+describe('Home Assistant discovery', () => {
+  test('should build one sensor per known frame key', () => {
+    const messages = buildDiscovery(outdoor, 'netatmo')
+    expect(messages.map((m) => m.key)).toStrictEqual(['temperature', 'humidity', 'battery', 'rfstatus'])
+  })
+  test('should build the sensor config', () => {
+    const [temperature] = buildDiscovery(outdoor, 'netatmo', 'ha')
+    expect(temperature.topic).toStrictEqual('ha/sensor/010000000000/temperature/config')
+    expect(temperature.payload).toStrictEqual({
+      name: 'Temperature',
+      device_class: 'temperature',
+      unit_of_measurement: '°C',
+      state_class: 'measurement',
+      unique_id: 'netatmo_010000000000_temperature',
+      object_id: 'netatmo_010000000000_temperature',
+      state_topic: 'netatmo/01:00:00:00:00:00',
+      value_template: '{{ value_json.temperature }}',
+      availability: [{ topic: 'netatmo/connected', payload_available: '1', payload_not_available: '0' }],
+      device: {
+        identifiers: ['01:00:00:00:00:00'],
+        connections: [['mac', '01:00:00:00:00:00']],
+        name: 'Outdoor',
+        manufacturer: 'Netatmo',
+        model: 'Smart Outdoor Module'
+      }
+    })
+  })
+  test('should read values on subtopics in flat mode', () => {
+    const [temperature] = buildDiscovery(outdoor, 'netatmo', 'homeassistant', true)
+    expect(temperature.payload.state_topic).toStrictEqual('netatmo/01:00:00:00:00:00/temperature')
+    expect(temperature.payload.value_template).toBeUndefined()
+  })
+  test('should use the unit of converted values', () => {
+    const [temperature, humidity] = buildDiscovery(outdoor, 'netatmo', 'homeassistant', false, { temperature: '°F' })
+    expect(temperature.payload.unit_of_measurement).toStrictEqual('°F')
+    expect(humidity.payload.unit_of_measurement).toStrictEqual('%')
+  })
+  test('should describe HomeCoach sensors', () => {
+    const messages = buildDiscovery(homecoach, 'netatmo')
+    expect(messages.map((m) => m.key)).toStrictEqual(['temperature', 'humidity', 'co2', 'noise', 'pressure', 'healthidx', 'wifistatus'])
+    expect(messages[0].payload.device.model).toStrictEqual('Smart Indoor Air Quality Monitor')
+    expect(messages[2].payload.device_class).toStrictEqual('carbon_dioxide')
+    expect(messages[6].payload.entity_category).toStrictEqual('diagnostic')
+  })
+  test('should describe Energy rooms', () => {
+    const room = { temperature: 19.5, setpoint: 20, setpointmode: 'schedule', heatingpower: 60, id: '5e1000000000000000000001/2255631832', name: 'Living room', type: 'room', home: 'Home', online: 1 }
+    const messages = buildDiscovery(room, 'netatmo')
+    expect(messages.map((m) => m.topic)).toStrictEqual([
+      'homeassistant/sensor/5e1000000000000000000001_2255631832/temperature/config',
+      'homeassistant/sensor/5e1000000000000000000001_2255631832/setpoint/config',
+      'homeassistant/sensor/5e1000000000000000000001_2255631832/setpointmode/config',
+      'homeassistant/sensor/5e1000000000000000000001_2255631832/heatingpower/config'
+    ])
+    expect(messages[0].payload.state_topic).toStrictEqual('netatmo/5e1000000000000000000001/2255631832')
+    expect(messages[0].payload.device).toMatchObject({ identifiers: [room.id], connections: [], model: 'Room' })
+  })
+  test('should use device type as model for unknown devices', () => {
+    const [message] = buildDiscovery({ id: '09:00:00:00:00:00', name: 'New', type: 'NAModule9', temperature: 1 }, 'netatmo')
+    expect(message.payload.device.model).toStrictEqual('NAModule9')
+  })
+})
@@ -0,0 +1,80 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const EventTracker = require('../lib/events')
+const { eventEmitter } = require('../lib/utils')
+
+const home = {
+  id: '5e1000000000000000000003',
+  name: 'Home',
+  modules: [{ id: '70:ee:50:00:00:10', type: 'NACamera', name: 'Hall' }, { id: '70:ee:50:00:00:12', type: 'NOC', name: 'Garden' }],
+  persons: [{ id: 'p1', pseudo: 'Alice' }]
+}
+const person = { id: 'e1', type: 'person', time: 1686866400, module_id: '70:ee:50:00:00:10', person_id: 'p1', message: 'Alice seen', snapshot: { url: 'https://snapshot/e1' } }
+const movement = { id: 'e2', type: 'movement', time: 1686866460, module_id: '70:ee:50:00:00:10', message: 'Motion detected' }
+const outdoor = {
+  id: 'e3',
+  type: 'outdoor',
+  time: 1686866520,
+  module_id: '70:ee:50:00:00:12',
+  subevents: [
+    { id: 's2', type: 'vehicle', time: 1686866530, message: 'Vehicle seen' },
+    { id: 's1', type: 'animal', time: 1686866520, message: 'Animal seen', snapshot: { url: 'https://snapshot/s1' } }
+  ]
+}
+
+/**
+ * In memory state store
+ */
+function memoryState (data = {}) {
+  return {
+    data,
+    get (key, defaultValue) { return this.data[key] !== undefined ? this.data[key] : defaultValue },
+    set (key, value) { this.data[key] = value }
+  }
+}
+
+describe('Create EventTracker', () => {
+  test('should throw error if no state is provided', () => {
+    expect(() => { new EventTracker() }).toThrowError(new Error('State store must be provided'))
+  })
+})
+
+describe('EventTracker', () => {
+  test('should not publish past events on first poll', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const state = memoryState()
+    new EventTracker(state).check(home, [movement, person])
+    expect(spy).not.toHaveBeenCalled()
+    expect(state.data).toStrictEqual({ lastEvents: { [home.id]: { id: 'e2', time: 1686866460 } } })
+  })
+  test('should publish new events once, oldest first', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const state = memoryState({ lastEvents: { [home.id]: { id: 'e0', time: 1686866000 } } })
+    const tracker = new EventTracker(state)
+    tracker.check(home, [movement, person])
+    tracker.check(home, [movement, person])
+    expect(spy.mock.calls).toStrictEqual([
+      ['event', { id: 'e1', type: 'person', time: 1686866400, module: '70:ee:50:00:00:10', name: 'Hall', home: 'Home', message: 'Alice seen', person: 'Alice', snapshot: 'https://snapshot/e1' }],
+      ['event', { id: 'e2', type: 'movement', time: 1686866460, module: '70:ee:50:00:00:10', name: 'Hall', home: 'Home', message: 'Motion detected' }]
+    ])
+    expect(state.data.lastEvents[home.id]).toStrictEqual({ id: 'e2', time: 1686866460 })
+  })
+  test('should publish the subevents of outdoor cameras', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const tracker = new EventTracker(memoryState({ lastEvents: { [home.id]: { id: 'e2', time: 1686866460 } } }))
+    tracker.check(home, [outdoor, movement])
+    expect(spy.mock.calls).toStrictEqual([
+      ['event', { id: 's1', type: 'animal', time: 1686866520, module: '70:ee:50:00:00:12', name: 'Garden', home: 'Home', message: 'Animal seen', snapshot: 'https://snapshot/s1' }],
+      ['event', { id: 's2', type: 'vehicle', time: 1686866530, module: '70:ee:50:00:00:12', name: 'Garden', home: 'Home', message: 'Vehicle seen' }]
+    ])
+  })
+  test('should keep the last event when no event is returned', () => {
+    const state = memoryState({ lastEvents: { [home.id]: { id: 'e2', time: 1686866460 } } })
+    new EventTracker(state).check(home, [])
+    expect(state.data.lastEvents[home.id]).toStrictEqual({ id: 'e2', time: 1686866460 })
+  })
+  test('should listen to polled events', () => {
+    const spy = jest.spyOn(eventEmitter, 'on').mockImplementation(() => {})
+    new EventTracker(memoryState()).start()
+    expect(spy).toHaveBeenCalledWith('homeEvents', expect.any(Function))
+  })
+})
@@ -0,0 +1,96 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { PassThrough } = require('stream')
+const { exportMeasures, findDevice, createWriter } = require('../lib/export')
+
+const stations = [{ _id: '70:ee:50:22:a3:00', station_name: 'Casa', type: 'NAMain', modules: [{ _id: '06:00:00:02:47:01', module_name: 'Outdoor Module', type: 'NAModule1' }, { _id: '06:00:00:02:47:03', module_name: 'Rain gauge', type: 'NAModule3' }] }]
+const aircares = [{ _id: '70:ee:50:22:b4:00', station_name: 'Bedroom', type: 'NHC' }]
+
+/**
+ * Collect what is written to a stream
+ */
+function collect () {
+  const output = new PassThrough()
+  output.text = ''
+  output.on('data', (chunk) => { output.text += chunk })
+  return output
+}
+
+describe('Find device', () => {
+  test.each([
+    [['Casa'], { deviceId: '70:ee:50:22:a3:00', name: 'Casa' }],
+    [['70:EE:50:22:A3:00'], { deviceId: '70:ee:50:22:a3:00', name: 'Casa' }],
+    [['Casa', 'Rain gauge'], { deviceId: '70:ee:50:22:a3:00', moduleId: '06:00:00:02:47:03', name: 'Rain gauge' }],
+    [['70:ee:50:22:a3:00', '06:00:00:02:47:01'], { deviceId: '70:ee:50:22:a3:00', moduleId: '06:00:00:02:47:01', name: 'Outdoor Module' }],
+    [['Outdoor Module'], { deviceId: '70:ee:50:22:a3:00', moduleId: '06:00:00:02:47:01', name: 'Outdoor Module' }],
+    [['Bedroom'], { deviceId: '70:ee:50:22:b4:00', name: 'Bedroom' }]
+  ])('should find %p', (args, expected) => {
+    expect(findDevice(stations.concat(aircares), ...args)).toStrictEqual(expected)
+  })
+  test('should throw error if device is not found', () => {
+    expect(() => findDevice(stations, 'Garden')).toThrowError(new Error('Device Garden not found'))
+    expect(() => findDevice(stations, 'Casa', 'Garden')).toThrowError(new Error('Module Garden not found in Casa'))
+  })
+})
+
+describe('Writers', () => {
+  const points = [{ timeutc: 1672099200, temperature: 15.5, mintemp: null }, { timeutc: 1672185600, temperature: 16, mintemp: 9.1 }]
+  const write = (format) => {
+    const output = collect()
+    const writer = createWriter(format, ['temperature', 'mintemp'], output)
+    points.forEach((point) => writer.write(point))
+    writer.end()
+    return output.text
+  }
+
+  test('should write CSV', () => {
+    expect(write('csv')).toStrictEqual('timeutc,date,temperature,mintemp\n1672099200,2022-12-27T00:00:00.000Z,15.5,\n1672185600,2022-12-28T00:00:00.000Z,16,9.1\n')
+  })
+  test('should write NDJSON', () => {
+    expect(write('ndjson')).toStrictEqual(JSON.stringify(points[0]) + '\n' + JSON.stringify(points[1]) + '\n')
+  })
+  test('should write JSON', () => {
+    expect(JSON.parse(write('json'))).toStrictEqual(points)
+    const output = collect()
+    createWriter('json', [], output).end()
+    expect(JSON.parse(output.text)).toStrictEqual([])
+  })
+  test('should throw error on unknown format', () => {
+    expect(() => createWriter('xml', [], collect())).toThrowError(new Error('Unknown export format xml'))
+  })
+})
+
+describe('Export measures', () => {
+  let netatmo
+  beforeEach(() => {
+    netatmo = {
+      getStationsData: jest.fn().mockResolvedValue(stations),
+      getHomeCoachData: jest.fn().mockResolvedValue(aircares),
+      getMeasure: jest.fn().mockResolvedValue([{ beg_time: 1672099200, step_time: 86400, value: [[1.2], [0]] }])
+    }
+  })
+
+  test('should export measures of a module', async () => {
+    const output = collect()
+    const count = await exportMeasures(netatmo, { device: 'Casa', module: 'Rain gauge', types: 'sum_rain', from: '2022-12-27', to: 1672185600, format: 'csv' }, output)
+    expect(count).toBe(2)
+    expect(netatmo.getMeasure).toHaveBeenCalledWith('70:ee:50:22:a3:00', '06:00:00:02:47:03', '1day', 'sum_rain', 1672099200, 1672185600, 1024, true, true)
+    expect(output.text.split('\n')[0]).toStrictEqual('timeutc,date,sumrain')
+  })
+  test('should read all pages', async () => {
+    jest.useFakeTimers()
+    const values = Array.from({ length: 1024 }, () => [15])
+    netatmo.getMeasure
+      .mockResolvedValueOnce([{ beg_time: 1000, step_time: 300, value: values }])
+      .mockResolvedValueOnce([{ beg_time: 1000 + 1024 * 300, step_time: 300, value: [[16]] }])
+    const output = collect()
+    const result = exportMeasures(netatmo, { device: 'Casa', types: ['temperature'], scale: 'max', from: 1000, to: 400000, format: 'ndjson' }, output)
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(await result).toBe(1025)
+    expect(netatmo.getMeasure.mock.calls[1][4]).toBe(1000 + 1023 * 300 + 1)
+    jest.useRealTimers()
+  })
+  test('should throw error on invalid options', async () => {
+    await expect(exportMeasures(netatmo, { device: 'Casa', types: 'temperature', scale: '2days' }, collect())).rejects.toThrowError(new Error('Invalid scale 2days (expected max, 30min, 1hour, 3hours, 1day, 1week, 1month)'))
+    await expect(exportMeasures(netatmo, { device: 'Casa', types: '' }, collect())).rejects.toThrowError(new Error('types must be provided'))
+  })
+})
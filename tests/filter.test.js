@@ -0,0 +1,57 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const ChangeFilter = require('../lib/filter')
+
+const frame = { temperature: 21.7, co2: 600, humidity: 50, id: '70:00:00:00:00:00', name: 'Home', type: 'NAMain', online: 1, timeutc: 1672119606 }
+const now = 1672119606000
+
+describe('Change filter', () => {
+  test('should accept first frame of a device', () => {
+    const filter = new ChangeFilter()
+    expect(filter.accept(frame, now)).toBeTruthy()
+    expect(filter.accept({ ...frame, id: '70:00:00:00:00:01' }, now)).toBeTruthy()
+  })
+  test('should reject same frame', () => {
+    const filter = new ChangeFilter()
+    filter.accept(frame, now)
+    expect(filter.accept({ ...frame }, now)).toBeFalsy()
+  })
+  test('should reject new measure time with same values', () => {
+    const filter = new ChangeFilter()
+    filter.accept(frame, now)
+    expect(filter.accept({ ...frame, timeutc: frame.timeutc + 600 }, now)).toBeFalsy()
+  })
+  test('should accept changed value without deadband', () => {
+    const filter = new ChangeFilter()
+    filter.accept(frame, now)
+    expect(filter.accept({ ...frame, humidity: 51 }, now)).toBeTruthy()
+    expect(filter.accept({ ...frame, humidity: 51, online: 0 }, now)).toBeTruthy()
+  })
+  test('should accept added or removed value', () => {
+    const filter = new ChangeFilter()
+    filter.accept(frame, now)
+    const { co2, ...noCo2 } = frame
+    expect(filter.accept(noCo2, now)).toBeTruthy()
+    expect(filter.accept(frame, now)).toBeTruthy()
+  })
+  test('should reject changes within deadband', () => {
+    const filter = new ChangeFilter({ temperature: 0.1, co2: 20 })
+    filter.accept(frame, now)
+    expect(filter.accept({ ...frame, temperature: 21.8 }, now)).toBeFalsy()
+    expect(filter.accept({ ...frame, temperature: 21.6, co2: 620 }, now)).toBeFalsy()
+    expect(filter.accept({ ...frame, co2: 621 }, now)).toBeTruthy()
+  })
+  test('should compare with last published value', () => {
+    const filter = new ChangeFilter({ temperature: 0.1 })
+    filter.accept(frame, now)
+    expect(filter.accept({ ...frame, temperature: 21.8 }, now)).toBeFalsy()
+    expect(filter.accept({ ...frame, temperature: 21.9 }, now)).toBeTruthy()
+    expect(filter.accept({ ...frame, temperature: 22.0 }, now)).toBeFalsy()
+  })
+  test('should accept unchanged frame on heartbeat', () => {
+    const filter = new ChangeFilter({}, 10)
+    filter.accept(frame, now)
+    expect(filter.accept(frame, now + 599999)).toBeFalsy()
+    expect(filter.accept(frame, now + 600000)).toBeTruthy()
+    expect(filter.accept(frame, now + 600001)).toBeFalsy()
+  })
+})
@@ -0,0 +1,63 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { measureKey, measureTypes, normalizeMeasure, toTimestamp } = require('../lib/measure')
+
+describe('Measure keys', () => {
+  test.each([
+    ['Temperature', 'temperature'],
+    ['CO2', 'co2'],
+    ['min_temp', 'mintemp'],
+    ['sum_rain', 'sumrain'],
+    ['date_max_temp', 'maxtemputc']
+  ])('%s should be named %s', (type, key) => {
+    expect(measureKey(type)).toStrictEqual(key)
+  })
+})
+
+describe('Measure types', () => {
+  test('should read a list or comma separated types', () => {
+    expect(measureTypes('1day', ['Temperature', ' CO2 '])).toStrictEqual(['Temperature', 'CO2'])
+    expect(measureTypes('1day', 'Temperature, CO2,')).toStrictEqual(['Temperature', 'CO2'])
+  })
+  test('should throw error on invalid scale', () => {
+    expect(() => { measureTypes('2days', 'Temperature') }).toThrowError(new Error('Invalid scale 2days (expected max, 30min, 1hour, 3hours, 1day, 1week, 1month)'))
+  })
+  test('should throw error if no types are provided', () => {
+    expect(() => { measureTypes('1day', ' , ') }).toThrowError(new Error('types must be provided'))
+  })
+})
+
+describe('Normalize measures', () => {
+  test('should read optimized measures', () => {
+    const body = [
+      { beg_time: 1000, step_time: 600, value: [[20.1, 50], [20.3, 51]] },
+      { beg_time: 3000, value: [[20.5, null]] }
+    ]
+    expect(normalizeMeasure(body, ['Temperature', 'Humidity'])).toStrictEqual([
+      { timeutc: 1000, temperature: 20.1, humidity: 50 },
+      { timeutc: 1600, temperature: 20.3, humidity: 51 },
+      { timeutc: 3000, temperature: 20.5, humidity: null }
+    ])
+  })
+  test('should read not optimized measures', () => {
+    const body = { 1600: [20.3], 1000: [20.1] }
+    expect(normalizeMeasure(body, ['temperature'])).toStrictEqual([
+      { timeutc: 1000, temperature: 20.1 },
+      { timeutc: 1600, temperature: 20.3 }
+    ])
+  })
+  test('should return no points without body', () => {
+    expect(normalizeMeasure(undefined, ['temperature'])).toStrictEqual([])
+  })
+})
+
+describe('Dates', () => {
+  test('should read timestamps and date strings', () => {
+    expect(toTimestamp(1672119606)).toBe(1672119606)
+    expect(toTimestamp('1672119606')).toBe(1672119606)
+    expect(toTimestamp('2022-12-27T05:40:06Z')).toBe(1672119606)
+    expect(toTimestamp(undefined)).toBeUndefined()
+  })
+  test('should throw error on invalid date', () => {
+    expect(() => toTimestamp('yesterday')).toThrowError(new Error('Invalid date: yesterday'))
+  })
+})
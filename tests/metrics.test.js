@@ -0,0 +1,88 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const Metrics = require('../lib/metrics')
+const { eventEmitter } = require('../lib/utils')
+
+const frame = {
+  temperature: 21.5,
+  temptrend: 'up',
+  humidity: 52,
+  timeutc: 1555672513,
+  id: '70:ee:50:22:a3:00',
+  name: 'Indoor',
+  type: 'NAMain',
+  home: 'Home'
+}
+
+describe('Prometheus metrics', () => {
+  let metrics
+  beforeAll(() => {
+    metrics = new Metrics({ expiresInTimestamp: 1700000000 })
+    metrics.start()
+  })
+  afterAll(() => {
+    eventEmitter.removeAllListeners()
+  })
+
+  test('should expose frame values as labelled gauges', async () => {
+    eventEmitter.emit('frame', frame)
+    eventEmitter.emit('frame', { healthidx: 1, id: '70:ee:50:3c:00:00', name: 'Bedroom', type: 'NHC', module: 'Bedroom' })
+    const { body } = await metrics.render()
+    expect(body).toContain('netatmo_temperature{id="70:ee:50:22:a3:00",name="Indoor",type="NAMain",home="Home"} 21.5')
+    expect(body).toContain('netatmo_humidity{id="70:ee:50:22:a3:00",name="Indoor",type="NAMain",home="Home"} 52')
+    expect(body).toContain('netatmo_healthidx{id="70:ee:50:3c:00:00",name="Bedroom",type="NHC",home=""} 1')
+    expect(body).not.toContain('netatmo_temptrend')
+  })
+  test('should keep the latest value', async () => {
+    eventEmitter.emit('frame', { ...frame, temperature: 22 })
+    const { body } = await metrics.render()
+    expect(body).toContain('netatmo_temperature{id="70:ee:50:22:a3:00",name="Indoor",type="NAMain",home="Home"} 22')
+  })
+  test('should drop the values of a renamed device', async () => {
+    eventEmitter.emit('frame', { ...frame, name: 'Living room' })
+    const { body } = await metrics.render()
+    expect(body).toContain('netatmo_temperature{id="70:ee:50:22:a3:00",name="Living room",type="NAMain",home="Home"} 21.5')
+    expect(body).not.toContain('name="Indoor"')
+  })
+  test('should drop the values of a removed device', async () => {
+    eventEmitter.emit('removed', '70:ee:50:22:a3:00')
+    eventEmitter.emit('removed', '70:ee:50:00:00:99')
+    const { body } = await metrics.render()
+    expect(body).not.toContain('id="70:ee:50:22:a3:00"')
+    expect(body).toContain('netatmo_healthidx{id="70:ee:50:3c:00:00",name="Bedroom",type="NHC",home=""} 1')
+  })
+  test('should ignore frames without id', async () => {
+    eventEmitter.emit('frame', { pressure: 1000 })
+    const { body } = await metrics.render()
+    expect(body).not.toContain('netatmo_pressure')
+  })
+  test('should count API requests and errors by path', async () => {
+    eventEmitter.emit('request', '/api/getstationsdata', null)
+    eventEmitter.emit('request', '/api/getstationsdata', new Error('timeout'))
+    const { body } = await metrics.render()
+    expect(body).toContain('mqtt4netatmo_api_requests_total{path="/api/getstationsdata"} 2')
+    expect(body).toContain('mqtt4netatmo_api_errors_total{path="/api/getstationsdata"} 1')
+  })
+  test('should observe poll durations', async () => {
+    eventEmitter.emit('poll', { source: 'stations', duration: 0.3, frames: 2 })
+    eventEmitter.emit('poll', { source: 'stations', duration: 1, error: new Error('timeout') })
+    const { body } = await metrics.render()
+    expect(body).toContain('mqtt4netatmo_poll_duration_seconds_count{source="stations",result="success"} 1')
+    expect(body).toContain('mqtt4netatmo_poll_duration_seconds_sum{source="stations",result="error"} 1')
+  })
+  test('should count MQTT publish failures', async () => {
+    eventEmitter.emit('publishError', 'frame', 'netatmo/70:ee:50:22:a3:00')
+    const { body } = await metrics.render()
+    expect(body).toContain('mqtt4netatmo_mqtt_publish_failures_total{kind="frame"} 1')
+  })
+  test('should count dropped MQTT messages', async () => {
+    eventEmitter.emit('dropped', 3, 'overflow')
+    const { body } = await metrics.render()
+    expect(body).toContain('mqtt4netatmo_mqtt_dropped_messages_total{reason="overflow"} 3')
+  })
+  test('should expose token expiry and process metrics', async () => {
+    const { type, body } = await metrics.render()
+    expect(type).toMatch(/^text\/plain/)
+    expect(body).toContain('mqtt4netatmo_token_expiry_timestamp_seconds 1700000000')
+    expect(body).toContain('mqtt4netatmo_process_cpu_seconds_total')
+  })
+})
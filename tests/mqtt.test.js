@@ -25,11 +25,122 @@ describe('Create mqttClient', () => {
     expect(client.topic).toStrictEqual(mqttTop)
     expect(client.sslopt).toBeTruthy()
   })
+  test('should set default publishing options', () => {
+    const client = new MqttClient(mqttUrl, mqttTop)
+    expect(client.haDiscovery).toBeFalsy()
+    expect(client.haPrefix).toStrictEqual('homeassistant')
+    expect(client.topicOptions).toStrictEqual({
+      frame: { qos: 0, retain: true },
+      value: { qos: 0, retain: false },
+      status: { qos: 0, retain: true },
+      alert: { qos: 0, retain: false },
+      event: { qos: 0, retain: false }
+    })
+    expect(client.clearRetained).toBeFalsy()
+  })
+  test('should set QoS and retain by topic class', () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { frameQos: 1, frameRetain: false, flatQos: 2, statusRetain: false, alertQos: 1, alertRetain: true, eventQos: 2, eventRetain: true })
+    expect(client.topicOptions).toStrictEqual({
+      frame: { qos: 1, retain: false },
+      value: { qos: 2, retain: false },
+      status: { qos: 0, retain: false },
+      alert: { qos: 1, retain: true },
+      event: { qos: 2, retain: true }
+    })
+  })
   test('should return a new instance of MqttClient', () => {
     expect(new MqttClient(mqttUrl, mqttTop)).toBeInstanceOf(MqttClient)
   })
 })
 
+describe('Connection options', () => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const tlsDir = path.join(os.tmpdir(), `mqtt4netatmo-tls-${process.pid}`)
+  beforeAll(() => {
+    fs.mkdirSync(tlsDir, { recursive: true })
+    for (const name of ['ca.pem', 'cert.pem', 'key.pem']) {
+      fs.writeFileSync(path.join(tlsDir, name), name)
+    }
+    fs.writeFileSync(path.join(tlsDir, 'password'), 'filePassword\n')
+  })
+  afterAll(() => {
+    fs.rmSync(tlsDir, { recursive: true, force: true })
+  })
+
+  test('should set default connection options', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop)
+    const options = await client.getConnectOptions()
+    expect(options.clientId).toMatch(/^netatmo_[0-9a-f]+$/)
+    expect(options.rejectUnauthorized).toBeTruthy()
+    expect(options).not.toHaveProperty('username')
+    expect(options).not.toHaveProperty('keepalive')
+  })
+  test('should set no last will for a one-shot command', async () => {
+    expect(await new MqttClient(mqttUrl, mqttTop).getConnectOptions()).toHaveProperty('will', { topic: `${mqttTop}/connected`, payload: '0', retain: true })
+    expect(await new MqttClient(mqttUrl, mqttTop, false, { oneShot: true }).getConnectOptions()).not.toHaveProperty('will')
+  })
+  test('should read TLS files and set connection options', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, {
+      ca: path.join(tlsDir, 'ca.pem'),
+      cert: path.join(tlsDir, 'cert.pem'),
+      key: path.join(tlsDir, 'key.pem'),
+      passphrase: 'secret',
+      username: 'user',
+      password: 'password',
+      clientId: 'bridge',
+      keepalive: 30,
+      clean: false,
+      reconnectPeriod: 5
+    })
+    const options = await client.getConnectOptions()
+    expect(options).toMatchObject({ passphrase: 'secret', username: 'user', password: 'password', clientId: 'bridge', keepalive: 30, clean: false, reconnectPeriod: 5000 })
+    expect(options.ca.toString()).toStrictEqual('ca.pem')
+    expect(options.cert.toString()).toStrictEqual('cert.pem')
+    expect(options.key.toString()).toStrictEqual('key.pem')
+  })
+  test('should read password file', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { password: 'password', passwordFile: path.join(tlsDir, 'password') })
+    expect((await client.getConnectOptions()).password).toStrictEqual('filePassword')
+  })
+  test('should set MQTT 5 options', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { protocolVersion: 5, clean: false })
+    const options = await client.getConnectOptions()
+    expect(options).toMatchObject({ protocolVersion: 5, autoAssignTopicAlias: true, properties: { sessionExpiryInterval: 86400 } })
+  })
+  test('should set MQTT 3.1 options', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { protocolVersion: 3 })
+    expect(await client.getConnectOptions()).toMatchObject({ protocolId: 'MQIsdp', protocolVersion: 3 })
+  })
+  test('should not set MQTT 5 options by default', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { clean: false })
+    const options = await client.getConnectOptions()
+    expect(options).not.toHaveProperty('protocolVersion')
+    expect(options).not.toHaveProperty('autoAssignTopicAlias')
+    expect(options).not.toHaveProperty('properties')
+  })
+  test('should add MQTT 5 properties to published frames', () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { protocolVersion: 5, messageExpiry: 3600 })
+    expect(client.getPublishOptions(sample, true)).toStrictEqual({
+      properties: { contentType: 'application/json', messageExpiryInterval: 3600, userProperties: { type: 'NAModule3', home: 'Home' } }
+    })
+    expect(client.getPublishOptions({ id: '70:ee:50:3c:00:00', type: 'NHC' }, false, { qos: 1, retain: true })).toStrictEqual({
+      qos: 1,
+      retain: true,
+      properties: { messageExpiryInterval: 3600, userProperties: { type: 'NHC' } }
+    })
+  })
+  test('should not add properties before MQTT 5', () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { messageExpiry: 3600 })
+    expect(client.getPublishOptions(sample, false, { qos: 1 })).toStrictEqual({ qos: 1 })
+  })
+  test('should throw error if a file cannot be read', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { ca: path.join(tlsDir, 'none.pem') })
+    await expect(client.connect()).rejects.toThrowError(/^MQTT connection error \[unable to read ca file .*none\.pem: ENOENT/)
+  })
+})
+
 describe('MQTT broker connect and disconnect', () => {
   describe('Connection errors', () => {
     test('should throw an error on connection refused', async () => {
@@ -81,6 +192,25 @@ describe('MQTT broker connect and disconnect', () => {
       // Disconnect from broker
       await myclient.disconnect(true)
     })
+    test('should not set the bridge as connected for a one-shot command', async () => {
+      const topics = []
+      const onPublish = (packet, client) => {
+        if (client && client.id === 'oneshot') {
+          topics.push(packet.topic)
+        }
+      }
+      aedes.on('publish', onPublish)
+      const spy = jest.spyOn(eventEmitter, 'on')
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { oneShot: true, clientId: 'oneshot' })
+      await myclient.connect()
+      await myclient.publishRetained('token', 'mytoken')
+      expect(await myclient.readRetained('token')).toStrictEqual('mytoken')
+      await myclient.disconnect(true)
+      aedes.removeListener('publish', onPublish)
+      expect(topics).toStrictEqual([`${mqttTop}/token`])
+      expect(myclient.commands).toBeFalsy()
+      expect(spy).not.toHaveBeenCalled()
+    })
     test('disconnect from mqtt broker', async () => {
       const spy = jest.spyOn(logger, 'info')
       const myclient = new MqttClient(mqttUrl, mqttTop)
@@ -102,6 +232,204 @@ describe('MQTT broker connect and disconnect', () => {
       process.emit('SIGINT')
       expect(spy).toHaveBeenCalledWith(true)
     })
+    test('should publish and read back a retained message', async () => {
+      const myclient = new MqttClient(mqttUrl, mqttTop)
+      await myclient.connect()
+      await myclient.publishRetained('token', 'mytoken')
+      expect(await myclient.readRetained('token')).toStrictEqual('mytoken')
+      await myclient.disconnect(true)
+    })
+    test('should publish the retained status', async () => {
+      const myclient = new MqttClient(mqttUrl, mqttTop)
+      await myclient.connect()
+      eventEmitter.emit('status', { consecutiveFailures: 0 })
+      expect(JSON.parse(await myclient.readRetained('status'))).toStrictEqual({ consecutiveFailures: 0 })
+      await myclient.disconnect(true)
+    })
+    test('should return null if no message is retained', async () => {
+      const myclient = new MqttClient(mqttUrl, mqttTop)
+      await myclient.connect()
+      expect(await myclient.readRetained('nothing', 100)).toBeNull()
+      await myclient.disconnect(true)
+    })
+    test('should connect with username and password', async () => {
+      let credentials
+      const authenticate = aedes.authenticate
+      aedes.authenticate = (client, username, password, callback) => {
+        credentials = [client.id, username, password && password.toString()]
+        callback(null, true)
+      }
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { username: 'user', password: 'password', clientId: 'bridge' })
+      await myclient.connect()
+      await myclient.disconnect(true)
+      aedes.authenticate = authenticate
+      expect(credentials).toStrictEqual(['bridge', 'user', 'password'])
+    })
+    test('should publish queued messages in order once connected', async () => {
+      const payloads = []
+      const listener = (packet, client) => {
+        if (client && packet.topic === `${mqttTop}/${sample.id}`) {
+          payloads.push(JSON.parse(packet.payload.toString()).rain)
+        }
+      }
+      aedes.on('publish', listener)
+      const spy = jest.spyOn(logger, 'info')
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { queueSize: 10 })
+      await myclient.publishFrame({ ...sample, rain: 1 })
+      await myclient.publishFrame({ ...sample, rain: 2 })
+      expect(myclient.queue.length).toStrictEqual(2)
+      await myclient.connect()
+      await myclient.publishFrame({ ...sample, rain: 3 })
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      await myclient.disconnect()
+      aedes.removeListener('publish', listener)
+      expect(payloads).toStrictEqual([1, 2, 3])
+      expect(myclient.queue.length).toStrictEqual(0)
+      expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^\d queued messages published$/))
+    })
+    test('should publish Home Assistant discovery once per sensor', async () => {
+      const topics = []
+      const listener = (packet, client) => {
+        if (client && packet.topic !== `${mqttTop}/connected`) {
+          topics.push(packet.topic)
+        }
+      }
+      aedes.on('publish', listener)
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { haDiscovery: true })
+      await myclient.connect()
+      await myclient.publishFrame(sample)
+      await myclient.publishFrame(sample)
+      await myclient.disconnect()
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      aedes.removeListener('publish', listener)
+      expect(topics).toStrictEqual([
+        'homeassistant/sensor/060000024703/rain/config',
+        'homeassistant/sensor/060000024703/sumrain1/config',
+        'homeassistant/sensor/060000024703/sumrain24/config',
+        'homeassistant/sensor/060000024703/battery/config',
+        'homeassistant/sensor/060000024703/rfstatus/config',
+        `${mqttTop}/${sample.id}`,
+        `${mqttTop}/${sample.id}`
+      ])
+    })
+    test('should publish frame values on subtopics', async () => {
+      const packets = []
+      const listener = (packet, client) => {
+        if (client && packet.topic.startsWith(`${mqttTop}/${sample.id}`)) {
+          packets.push(packet)
+        }
+      }
+      aedes.on('publish', listener)
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { output: 'both', flatRetain: true, flatQos: 1 })
+      await myclient.connect()
+      await myclient.publishFrame(sample)
+      await myclient.disconnect()
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      aedes.removeListener('publish', listener)
+      expect(packets.map((p) => p.topic)).toStrictEqual([
+        `${mqttTop}/${sample.id}`,
+        ...Object.keys(sample).filter((k) => k !== 'id').map((k) => `${mqttTop}/${sample.id}/${k}`)
+      ])
+      expect(packets[1].payload.toString()).toStrictEqual('0')
+      expect(packets[1].qos).toBe(1)
+      expect(packets[5].payload.toString()).toStrictEqual('NAModule3')
+    })
+    test('should clear the retained topics of removed devices', async () => {
+      const cleared = []
+      const listener = (packet, client) => {
+        if (client && packet.retain && !packet.payload.length) {
+          cleared.push(packet.topic)
+        }
+      }
+      aedes.on('publish', listener)
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { output: 'both', flatRetain: true, haDiscovery: true, onlyChanges: true, clearRetained: true })
+      await myclient.connect()
+      await myclient.publishFrame(sample)
+      expect(await myclient.readRetained(sample.id, 100)).not.toBeNull()
+      await myclient.removeDevice(sample.id)
+      expect(await myclient.readRetained(sample.id, 100)).toBeNull()
+      await myclient.disconnect()
+      aedes.removeListener('publish', listener)
+      expect(cleared).toStrictEqual([
+        `${mqttTop}/${sample.id}`,
+        ...Object.keys(sample).filter((k) => k !== 'id').map((k) => `${mqttTop}/${sample.id}/${k}`),
+        'homeassistant/sensor/060000024703/rain/config',
+        'homeassistant/sensor/060000024703/sumrain1/config',
+        'homeassistant/sensor/060000024703/sumrain24/config',
+        'homeassistant/sensor/060000024703/battery/config',
+        'homeassistant/sensor/060000024703/rfstatus/config'
+      ])
+      expect(myclient.discovered.has(sample.id)).toBeFalsy()
+      expect(myclient.changeFilter.published.has(sample.id)).toBeFalsy()
+    })
+    test('should clear the retained topics of devices removed before a restart', async () => {
+      const cleared = []
+      const listener = (packet, client) => {
+        if (client && packet.retain && !packet.payload.length) {
+          cleared.push(packet.topic)
+        }
+      }
+      aedes.on('publish', listener)
+      const state = { data: {}, get (key, value) { return this.data[key] || value }, set (key, value) { this.data[key] = value } }
+      const before = new MqttClient(mqttUrl, mqttTop, false, { output: 'both', flatRetain: true, clearRetained: true, state })
+      await before.connect()
+      await before.publishFrame(sample)
+      await before.disconnect()
+      expect(state.data.retainedTopics[sample.id]).toHaveLength(Object.keys(sample).length)
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { output: 'both', flatRetain: true, clearRetained: true, state })
+      await myclient.connect()
+      await myclient.removeDevice(sample.id)
+      expect(await myclient.readRetained(sample.id, 100)).toBeNull()
+      await myclient.disconnect()
+      aedes.removeListener('publish', listener)
+      expect(cleared).toStrictEqual([`${mqttTop}/${sample.id}`, ...Object.keys(sample).filter((k) => k !== 'id').map((k) => `${mqttTop}/${sample.id}/${k}`)])
+      expect(state.data.retainedTopics).toStrictEqual({})
+    })
+    test('should only forget removed devices by default', async () => {
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { output: 'both' })
+      await myclient.connect()
+      await myclient.publishFrame(sample)
+      await myclient.removeDevice(sample.id)
+      expect(myclient.valueKeys.has(sample.id)).toBeFalsy()
+      expect(await myclient.readRetained(sample.id, 100)).not.toBeNull()
+      await myclient.disconnect(true)
+    })
+    test('should only publish subtopics in flat mode', async () => {
+      const topics = []
+      const listener = (packet, client) => {
+        if (client && packet.topic.startsWith(`${mqttTop}/${sample.id}`)) {
+          topics.push(packet.topic)
+        }
+      }
+      aedes.on('publish', listener)
+      const myclient = new MqttClient(mqttUrl, mqttTop, false, { output: 'flat' })
+      await myclient.connect()
+      await myclient.publishFrame(sample)
+      await myclient.disconnect()
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      aedes.removeListener('publish', listener)
+      expect(topics).not.toContain(`${mqttTop}/${sample.id}`)
+      expect(topics).toContain(`${mqttTop}/${sample.id}/rain`)
+    })
+    test('should emit commands and publish responses', async () => {
+      const myclient = new MqttClient(mqttUrl, mqttTop)
+      await myclient.connect()
+      const command = new Promise((resolve) => eventEmitter.once('command', (...args) => resolve(args)))
+      const response = new Promise((resolve) => {
+        aedes.subscribe('my/response', (packet, cb) => {
+          resolve(packet.payload.toString())
+          cb()
+        }, () => {})
+      })
+      aedes.publish({ topic: `${mqttTop}/cmd/getmeasure`, payload: '{"device":"70:ee:50:22:a3:00","responseTopic":"my/response"}' }, () => {})
+      expect(await command).toStrictEqual(['getmeasure', { device: '70:ee:50:22:a3:00', responseTopic: 'my/response' }])
+      eventEmitter.emit('response', 'my/response', { correlationId: 1 })
+      expect(await response).toStrictEqual('{"correlationId":1}')
+      const published = new Promise((resolve) => eventEmitter.once('published', resolve))
+      eventEmitter.emit('frame', sample)
+      expect(await published).toStrictEqual(sample)
+      await myclient.disconnect(true)
+    })
     test('should throw error on broker authentication error', async () => {
       aedes.authenticate = (client, username, password, callback) => {
         password = Buffer.from(password, 'base64').toString()
@@ -125,6 +453,59 @@ describe('Define topic', () => {
   })
 })
 
+describe('Commands', () => {
+  test('should emit command received on command topic', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const client = new MqttClient(mqttUrl, mqttTop)
+    client.handleMessage(`${mqttTop}/cmd/getmeasure`, Buffer.from('{"device":"1"}'))
+    expect(spy).toHaveBeenCalledWith('command', 'getmeasure', { device: '1' })
+  })
+  test('should ignore messages of other topics', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const client = new MqttClient(mqttUrl, mqttTop)
+    client.handleMessage(`${mqttTop}/token`, Buffer.from('{}'))
+    expect(spy).not.toHaveBeenCalled()
+  })
+  test('should emit set command received on Energy set topics', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const client = new MqttClient(mqttUrl, mqttTop, false, { energy: true })
+    client.handleMessage(`${mqttTop}/5e10/2255/set`, Buffer.from('{"mode":"manual","temperature":21}'))
+    expect(spy).toHaveBeenCalledWith('command', 'set', { responseTopic: `${mqttTop}/5e10/2255/set/result`, mode: 'manual', temperature: 21, home: '5e10', room: '2255' })
+    client.handleMessage(`${mqttTop}/5e10/set`, Buffer.from('{"mode":"away","responseTopic":"my/response"}'))
+    expect(spy).toHaveBeenCalledWith('command', 'set', { responseTopic: 'my/response', mode: 'away', home: '5e10' })
+  })
+  test('should ignore set topics without Energy or retained', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const warn = jest.spyOn(logger, 'warn')
+    new MqttClient(mqttUrl, mqttTop).handleMessage(`${mqttTop}/5e10/2255/set`, Buffer.from('{"mode":"home"}'))
+    const client = new MqttClient(mqttUrl, mqttTop, false, { energy: true })
+    client.handleMessage(`${mqttTop}/5e10/2255/set`, Buffer.from('{"mode":"home"}'), { retain: true })
+    client.handleMessage(`${mqttTop}/5e10/2255/temperature/set`, Buffer.from('{"mode":"home"}'))
+    expect(spy).not.toHaveBeenCalled()
+    expect(warn).toHaveBeenCalledWith(`Retained command ignored on ${mqttTop}/5e10/2255/set`)
+  })
+  test('should show a warn on invalid command', () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    client.handleMessage(`${mqttTop}/cmd/getmeasure`, Buffer.from('{device'))
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Invalid command received on netatmo\/cmd\/getmeasure/))
+    client.handleMessage(`${mqttTop}/cmd/getmeasure`, Buffer.from('[]'))
+    expect(spy).toHaveBeenCalledWith('Invalid command received on netatmo/cmd/getmeasure (JSON object expected)')
+  })
+  test('should show a warn if status not published', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    await client.publishStatus({})
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish status to netatmo\/status/))
+  })
+  test('should show a warn if response not published', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    await client.publishResponse('my/response', {})
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish response to my\/response/))
+  })
+})
+
 describe('Publish frame to mqtt', () => {
   test('should show a warn if frame have no id', async () => {
     const spy = jest.spyOn(logger, 'warn')
@@ -139,6 +520,85 @@ describe('Publish frame to mqtt', () => {
     await client.publishFrame(sample)
     expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish frame to/))
   })
+  test('should not publish unchanged frame', async () => {
+    const spy = jest.spyOn(logger, 'debug')
+    const client = new MqttClient(mqttUrl, mqttTop, false, { onlyChanges: true, deadbands: { battery: 5 } })
+    await client.publishFrame(sample)
+    await client.publishFrame({ ...sample, battery: 57 })
+    expect(spy).toHaveBeenCalledWith(`Frame of ${sample.id} unchanged, not published`)
+  })
+  test('should emit unchanged frame as published', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { onlyChanges: true })
+    await client.publishFrame(sample)
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    await client.publishFrame(sample)
+    expect(spy).toHaveBeenCalledWith('published', sample)
+  })
+  test('should not emit frame not published', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const client = new MqttClient(mqttUrl, mqttTop, false, { output: 'both' })
+    await client.publishFrame(sample)
+    expect(spy).not.toHaveBeenCalledWith('published', sample)
+  })
+  test('should queue frames while not connected', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const client = new MqttClient(mqttUrl, mqttTop, false, { output: 'both', queueSize: 100 })
+    await client.publishFrame(sample)
+    expect(client.queue.items.map((item) => item.topic)).toStrictEqual([`${mqttTop}/${sample.id}`, ...Object.keys(sample).filter((key) => key !== 'id').map((key) => `${mqttTop}/${sample.id}/${key}`)])
+    expect(client.queue.items[0].options).toStrictEqual({ qos: 0, retain: true })
+    expect(client.queue.items[1].options).toStrictEqual({ qos: 0, retain: false })
+    expect(spy).toHaveBeenCalledWith('published', sample)
+    expect(spy).not.toHaveBeenCalledWith('publishError', expect.anything(), expect.anything())
+  })
+  test('should queue the retained units and announce sensors again', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { haDiscovery: true, queueSize: 100 })
+    client.discovered.set(sample.id, new Set(['homeassistant/sensor/060000024703/rain/config']))
+    await client.publishUnits({ rain: 'in' })
+    expect(client.queue.items).toStrictEqual([{ topic: `${mqttTop}/units`, payload: '{"rain":"in"}', options: { retain: true }, time: expect.any(Number) }])
+    expect(client.units).toStrictEqual({ rain: 'in' })
+    expect(client.discovered.size).toStrictEqual(0)
+  })
+  test('should show a warn if units not published', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    await client.publishUnits({ rain: 'in' })
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish units to netatmo\/units/))
+  })
+  test('should queue alerts with their QoS and retain', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { queueSize: 100, alertQos: 1, alertRetain: true })
+    await client.publishAlert({ rule: 'co2', event: 'raise' })
+    expect(client.queue.items).toStrictEqual([{ topic: `${mqttTop}/alerts`, payload: '{"rule":"co2","event":"raise"}', options: { qos: 1, retain: true }, time: expect.any(Number) }])
+  })
+  test('should show a warn if alert not published', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    await client.publishAlert({ rule: 'co2', event: 'raise' })
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish alert to netatmo\/alerts/))
+  })
+  test('should queue events with their QoS', async () => {
+    const client = new MqttClient(mqttUrl, mqttTop, false, { queueSize: 100, eventQos: 1 })
+    await client.publishEvent({ id: '1', type: 'incoming_call' })
+    expect(client.queue.items).toStrictEqual([{ topic: `${mqttTop}/events`, payload: '{"id":"1","type":"incoming_call"}', options: { qos: 1, retain: false }, time: expect.any(Number) }])
+  })
+  test('should show a warn if event not published', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    await client.publishEvent({ id: '1', type: 'movement' })
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish event to netatmo\/events/))
+  })
+  test('should emit publish failures', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const client = new MqttClient(mqttUrl, mqttTop, false, { output: 'both' })
+    await client.publishFrame(sample)
+    expect(spy).toHaveBeenCalledWith('publishError', 'frame', `${mqttTop}/${sample.id}`)
+    expect(spy).toHaveBeenCalledWith('publishError', 'value', `${mqttTop}/${sample.id}/rain`)
+  })
+  test('should show a warn if backfill not published', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const client = new MqttClient(mqttUrl, mqttTop)
+    await client.publishBackfill(sample)
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to publish backfill to netatmo\/backfill\/06:00:00:02:47:03/))
+  })
   test('call publishFrame on eventEmitter.on(frame)', async () => {
     const aedes = require('aedes')()
     const net = require('net')
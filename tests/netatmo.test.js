@@ -25,10 +25,8 @@ describe('Create NetatmoClient', () => {
     expect(() => { new NetatmoClient(clientId, null, null, null, {}) }).toThrowError(new Error('Client id and client secret must be provided, see https://dev.netatmo.com/apidocumentation/oauth#client-credential'))
     expect(() => { new NetatmoClient(null, clientSecret, null, null, {}) }).toThrowError(new Error('Client id and client secret must be provided, see https://dev.netatmo.com/apidocumentation/oauth#client-credential'))
   })
-  test('should throw error if no credentials is provided', () => {
-    expect(() => { new NetatmoClient(clientId, clientSecret, null, null, {}) }).toThrowError(new Error('Username and password must be provided'))
-    expect(() => { new NetatmoClient(clientId, clientSecret, username, null, {}) }).toThrowError(new Error('Username and password must be provided'))
-    expect(() => { new NetatmoClient(clientId, clientSecret, null, password, {}) }).toThrowError(new Error('Username and password must be provided'))
+  test('should not require user credentials', () => {
+    expect(new NetatmoClient(clientId, clientSecret)).toBeInstanceOf(NetatmoClient)
   })
   test('should return a new instance of NetatmoClient with valid parameters', () => {
     const client = new NetatmoClient(clientId, clientSecret, username, password, requestConfig)
@@ -57,13 +55,22 @@ describe('Request', () => {
       .onGet('/tokenExpired403').reply(200, { body: '403' })
       .onPost('/oauth2/token').reply(200, authResult)
       .onGet('/noMessageError').reply(500, { error: { code: 99 } })
+      .onGet('/unavailable').replyOnce(503, {})
+      .onGet('/unavailable').reply(200, { body: '503' })
+      .onGet('/tooManyRequests').replyOnce(429, {}, { 'retry-after': '1' })
+      .onGet('/tooManyRequests').reply(200, { body: '429' })
+      .onGet('/usageReached').replyOnce(403, { error: { code: 26, message: 'User usage reached' } })
+      .onGet('/usageReached').reply(200, { body: '26' })
+      .onGet('/dnsError').replyOnce(() => Promise.reject(Object.assign(new Error('getaddrinfo EAI_AGAIN api.netatmo.com'), { code: 'EAI_AGAIN' })))
+      .onGet('/dnsError').reply(200, { body: 'dns' })
+      .onGet('/retryLater').reply(503, {}, { 'retry-after': '3600' })
       .onAny().reply(404)
   })
   afterAll(() => {
     mock.reset()
   })
   beforeEach(() => {
-    client = new NetatmoClient(clientId, clientSecret, username, password, {})
+    client = new NetatmoClient(clientId, clientSecret, username, password, {}, { retryDelay: 1 })
   })
 
   test('should throw error if access token is not set', async () => {
@@ -71,7 +78,12 @@ describe('Request', () => {
   })
   test('should throw error in case of timeout', async () => {
     await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
-    await expect(async () => { await client.request('GET', '/timeout') }).rejects.toThrowError(new Error('HTTP request /timeout failed: timeout of 0ms exceeded'))
+    await expect(async () => { await client.request('GET', '/timeout') }).rejects.toThrowError(new Error('HTTP request /timeout failed: timeout of 30000ms exceeded'))
+  })
+  test('should use the configured timeout', async () => {
+    client = new NetatmoClient(clientId, clientSecret, username, password, { timeout: 1000 }, { retries: 0 })
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    await expect(async () => { await client.request('GET', '/timeout') }).rejects.toThrowError(new Error('HTTP request /timeout failed: timeout of 1000ms exceeded'))
   })
   test('should throw error in case of OAuth2 bad request', async () => {
     await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
@@ -95,6 +107,60 @@ describe('Request', () => {
     const result = await client.request('GET', '/tokenExpired403')
     expect(result).toStrictEqual({ body: '403' })
   })
+  test.each([
+    ['/unavailable', '503'],
+    ['/usageReached', '26'],
+    ['/dnsError', 'dns']
+  ])('should retry %s after a temporary error', async (path, body) => {
+    const spy = jest.spyOn(logger, 'warn')
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    const result = await client.request('GET', path)
+    expect(result).toStrictEqual({ body })
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(new RegExp(`^HTTP request ${path} failed \\(.+\\), retry in 1s$`)))
+  })
+  test('should retry after the Retry-After delay', async () => {
+    const spy = jest.spyOn(global, 'setTimeout')
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    const result = await client.request('GET', '/tooManyRequests')
+    expect(result).toStrictEqual({ body: '429' })
+    expect(spy).toHaveBeenCalledWith(expect.any(Function), 1000)
+  })
+  test('should not retry when Retry-After is too long', async () => {
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    await expect(client.request('GET', '/retryLater')).rejects.toThrowError(new Error('HTTP request /retryLater failed: Request failed with status code 503'))
+    expect(mock.history.get.filter((request) => request.url === '/retryLater')).toHaveLength(1)
+  })
+  test('should give up after the configured retries', async () => {
+    client = new NetatmoClient(clientId, clientSecret, username, password, {}, { retries: 2, retryDelay: 1 })
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    mock.resetHistory()
+    await expect(client.request('GET', '/timeout')).rejects.toThrowError(new Error('HTTP request /timeout failed: timeout of 30000ms exceeded'))
+    expect(mock.history.get).toHaveLength(3)
+  })
+  test('should not retry client errors', async () => {
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    mock.resetHistory()
+    await expect(client.request('GET', '/appError')).rejects.toThrow()
+    expect(mock.history.get).toHaveLength(1)
+  })
+  test('should back off exponentially with jitter', () => {
+    client = new NetatmoClient(clientId, clientSecret, username, password, {}, { retryDelay: 1000, maxRetryDelay: 5000 })
+    const error = { code: 'ETIMEDOUT' }
+    jest.spyOn(Math, 'random').mockReturnValue(1)
+    expect([0, 1, 2, 3].map((attempt) => client.getRetryDelay(error, attempt))).toStrictEqual([1000, 2000, 4000, 5000])
+    jest.spyOn(Math, 'random').mockReturnValue(0)
+    expect([0, 1, 2, 3].map((attempt) => client.getRetryDelay(error, attempt))).toStrictEqual([500, 1000, 2000, 2500])
+    expect(client.getRetryDelay(new Error('Invalid URL'), 0)).toBeNull()
+  })
+  test('should wait for the request limits', async () => {
+    client = new NetatmoClient(clientId, clientSecret, username, password, {}, { limits: [{ requests: 2, period: 3600 }] })
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    const spy = jest.spyOn(client.limiter, 'acquire')
+    await client.request('GET', '/path', { type: 'params' })
+    await client.request('GET', '/path', { type: 'params' })
+    expect(spy).toHaveBeenCalledTimes(2)
+    expect(client.limiter.buckets[0].delay()).toBeGreaterThan(1000000)
+  })
 })
 
 describe('Authentication', () => {
@@ -117,6 +183,40 @@ describe('Authentication', () => {
     })
   })
 
+  describe('Authorization code grant type', () => {
+    test('should build the authorize URL', () => {
+      const client = new NetatmoClient(clientId, clientSecret)
+      const url = new URL(client.getAuthorizeUrl('http://localhost:8080/callback', 'abc'))
+      expect(url.origin + url.pathname).toStrictEqual('https://api.netatmo.com/oauth2/authorize')
+      expect(url.searchParams.get('client_id')).toStrictEqual(clientId)
+      expect(url.searchParams.get('redirect_uri')).toStrictEqual('http://localhost:8080/callback')
+      expect(url.searchParams.get('scope')).toStrictEqual('read_station read_homecoach')
+      expect(url.searchParams.get('state')).toStrictEqual('abc')
+    })
+    test('should ask for the scopes of the enabled features', () => {
+      expect(new NetatmoClient(clientId, clientSecret, undefined, undefined, {}, { energy: true }).getScope()).toStrictEqual('read_station read_homecoach read_thermostat write_thermostat')
+      expect(new NetatmoClient(clientId, clientSecret, undefined, undefined, {}, { security: true }).getScope()).toStrictEqual('read_station read_homecoach read_camera access_camera read_presence access_presence read_doorbell access_doorbell read_smokedetector read_carbonmonoxidedetector')
+    })
+    test('should throw error if redirect URI or state is not provided', () => {
+      const client = new NetatmoClient(clientId, clientSecret)
+      expect(() => { client.getAuthorizeUrl('http://localhost:8080/callback') }).toThrowError(new Error('Redirect URI and state must be provided'))
+    })
+    test('should throw error if code is not provided', async () => {
+      const client = new NetatmoClient(clientId, clientSecret)
+      await expect(async () => { await client.authenticateByAuthorizationCode(null, 'http://localhost:8080/callback') }).rejects.toThrowError(new Error('Authorization code and redirect URI must be provided'))
+    })
+    test('should obtain token with authorization code', async () => {
+      const client = new NetatmoClient(clientId, clientSecret)
+      await client.authenticateByAuthorizationCode('code', 'http://localhost:8080/callback')
+      expect(client.accessToken).toStrictEqual(authResult.access_token)
+      expect(client.refreshToken).toStrictEqual(authResult.refresh_token)
+    })
+    test('should throw error if no credentials is provided', async () => {
+      const client = new NetatmoClient(clientId, clientSecret)
+      await expect(async () => { await client.authenticateByClientCredentials() }).rejects.toThrowError(new Error('Username and password must be provided'))
+    })
+  })
+
   describe('Refresh token', () => {
     test('should throw error if refresh token is not provided', async () => {
       const client = new NetatmoClient(clientId, clientSecret, username, password, {})
@@ -146,6 +246,10 @@ describe('Authentication', () => {
       expect(client.expiresInTimestamp > Date.now() / 1000).toBeTruthy()
       expect(client.refreshToken).toStrictEqual(authResult.refresh_token)
     })
+    test('should throw error if there is no token nor credentials', async () => {
+      const client = new NetatmoClient(clientId, clientSecret)
+      await expect(async () => { await client.connect() }).rejects.toThrowError(new Error('No refresh token available, run `mqtt4netatmo auth` to authorize this app'))
+    })
     test('should use provided valid access token', async () => {
       const client = new NetatmoClient(clientId, clientSecret, username, password, {})
       await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
@@ -153,6 +257,49 @@ describe('Authentication', () => {
     })
   })
 
+  describe('Token rotation', () => {
+    test('should emit the new token', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const client = new NetatmoClient(clientId, clientSecret, username, password, {})
+      await client.authenticateByRefreshToken(authResult.refresh_token)
+      expect(spy).toHaveBeenCalledWith('token', { accessToken: authResult.access_token, refreshToken: authResult.refresh_token, expiresInTimestamp: client.expiresInTimestamp })
+    })
+  })
+
+  describe('Parallel requests', () => {
+    const expired = { error: { code: 3, message: 'Access token expired' } }
+    beforeEach(() => {
+      mock.reset()
+      mock
+        .onGet('/api/getstationsdata').replyOnce(403, expired)
+        .onGet('/api/getstationsdata').reply(200, { body: { devices: [] } })
+        .onGet('/api/gethomecoachsdata').replyOnce(403, expired)
+        .onGet('/api/gethomecoachsdata').reply(200, { body: { devices: [] } })
+        .onPost('/oauth2/token').reply(200, authResult)
+        .onAny().reply(404)
+    })
+    afterAll(() => {
+      mock.reset()
+    })
+    test('should refresh an expired access token once', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const client = new NetatmoClient(clientId, clientSecret, username, password, {})
+      await client.connect('expired', 'rt0', 3600 + Date.now() / 1000)
+      await Promise.all([client.pollStations(), client.pollAircares()])
+      expect(mock.history.post.length).toStrictEqual(1)
+      expect(mock.history.post[0].data).toContain('refresh_token=rt0')
+      expect(mock.history.get.map((request) => request.headers.Authorization)).toStrictEqual(['Bearer expired', 'Bearer expired', `Bearer ${authResult.access_token}`, `Bearer ${authResult.access_token}`])
+    })
+    test('should authenticate again once', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const client = new NetatmoClient(clientId, clientSecret, username, password, {})
+      await client.connect('expired', 'rt0', 3600 + Date.now() / 1000)
+      await Promise.all([client.reauthenticate(), client.reauthenticate()])
+      expect(mock.history.post.length).toStrictEqual(1)
+      expect(client.accessToken).toStrictEqual(authResult.access_token)
+    })
+  })
+
   describe('Invalid token', () => {
     beforeAll(() => {
       mock
@@ -185,6 +332,7 @@ describe('Netatmo API', () => {
       .onGet('/api/getstationsdata', { params: { device_id, get_favorites: false } }).reply(200, { body: { devices: [{ type: 'stationdata' }] } })
       .onGet('/api/getmeasure', { params: { device_id, module_id, scale, type, date_begin: 1, date_end: 2, limit: 5, optimize: true, real_time: false } }).reply(200, { body: [{ type: 'getmeasure' }] })
       .onGet('/api/gethomecoachsdata', { params: { device_id } }).reply(200, { body: { devices: [{ type: 'homecoachsdata' }] } })
+      .onGet('/api/getevents', { params: { home_id, size: 30 } }).reply(200, { body: { home: { id: home_id, events: [{ type: 'movement' }] } } })
       .onAny().reply(404)
   })
   afterAll(() => {
@@ -202,6 +350,11 @@ describe('Netatmo API', () => {
     })
     test('should throw error if no homeId is provided', async () => {
       await expect(async () => { await client.getHomeStatus() }).rejects.toThrowError(new Error('Home id must be provided'))
+      await expect(async () => { await client.getEvents() }).rejects.toThrowError(new Error('Home id must be provided'))
+    })
+    test('should return Events', async () => {
+      const result = await client.getEvents(home_id)
+      expect(result[0].type).toStrictEqual('movement')
     })
   })
 
@@ -227,6 +380,56 @@ describe('Netatmo API', () => {
   })
 })
 
+describe('Commands', () => {
+  let client
+  beforeAll(async () => {
+    client = new NetatmoClient(clientId, clientSecret, username, password, {})
+    await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
+    mock
+      .onGet('/api/getmeasure', { params: { device_id: '70:ee:50:22:a3:00', module_id: '02:00:00:22:a3:00', scale: '1hour', type: 'temperature,humidity', date_begin: 1672119606, date_end: undefined, limit: undefined, optimize: true, real_time: false } })
+      .reply(200, { body: [{ beg_time: 1672119606, step_time: 3600, value: [[20.1, 50], [20.3, 51]] }] })
+      .onAny().reply(404)
+  })
+  afterAll(() => {
+    mock.reset()
+  })
+
+  test('should publish getmeasure response with correlation id', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    await client.handleCommand('getmeasure', { device: '70:ee:50:22:a3:00', module: '02:00:00:22:a3:00', scale: '1hour', types: 'temperature, humidity', begin: '2022-12-27T05:40:06Z', responseTopic: 'my/response', correlationId: 42 })
+    expect(spy).toHaveBeenCalledWith('response', 'my/response', {
+      correlationId: 42,
+      device: '70:ee:50:22:a3:00',
+      module: '02:00:00:22:a3:00',
+      scale: '1hour',
+      types: ['temperature', 'humidity'],
+      measures: [{ timeutc: 1672119606, temperature: 20.1, humidity: 50 }, { timeutc: 1672123206, temperature: 20.3, humidity: 51 }]
+    })
+  })
+  test.each([
+    [{ types: ['temperature'] }, 'device must be provided'],
+    [{ device: '70:ee:50:22:a3:00', scale: '2hours', types: ['temperature'] }, 'Invalid scale 2hours (expected max, 30min, 1hour, 3hours, 1day, 1week, 1month)'],
+    [{ device: '70:ee:50:22:a3:00', types: [] }, 'types must be provided'],
+    [{ device: '70:ee:50:22:a3:00', types: ['temperature'], begin: 'now' }, 'Invalid date: now']
+  ])('should publish error response for invalid request %p', async (request, error) => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    await client.handleCommand('getmeasure', { ...request, responseTopic: 'my/response', correlationId: 'abc' })
+    expect(spy).toHaveBeenCalledWith('response', 'my/response', { correlationId: 'abc', error })
+  })
+  test('should publish error response for unknown command', async () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    await client.handleCommand('reboot', { responseTopic: 'my/response' })
+    expect(spy).toHaveBeenCalledWith('response', 'my/response', { correlationId: undefined, error: 'Unknown command reboot' })
+  })
+  test('should show a warn if there is no response topic', async () => {
+    const spy1 = jest.spyOn(logger, 'warn')
+    const spy2 = jest.spyOn(eventEmitter, 'emit')
+    await client.handleCommand('getmeasure', { device: '70:ee:50:22:a3:00' })
+    expect(spy1).toHaveBeenCalledWith('Command getmeasure ignored: responseTopic must be provided')
+    expect(spy2).not.toHaveBeenCalled()
+  })
+})
+
 describe('Specific functions', () => {
   const stationData = { body: { devices: [{ _id: '70:ee:50:22:a3:00', type: 'NAMain', module_name: 'Indoor', firmware: 137, wifi_status: 55, reachable: true, co2_calibrating: false, station_name: 'Casa', home_id: '594xxxxxxxxxdb', home_name: 'Home', dashboard_data: { time_utc: 1555677739, Temperature: 23.7, CO2: 967, Humidity: 41, Noise: 42, Pressure: 997.6, AbsolutePressure: 1017.4, min_temp: 21.2, max_temp: 27.4, date_min_temp: 1555631374, date_max_temp: 1555662436, temp_trend: 'up', pressure_trend: 'up' }, modules: [{ _id: '06:00:00:02:47:04', type: 'NAModule4', module_name: 'Indoor Module', reachable: true, firmware: 19, rf_status: 31, battery_vp: 5148, battery_percent: 58, dashboard_data: { time_utc: 1555677739, Temperature: 23.7, CO2: 967, Humidity: 41, Pressure: 997.6, AbsolutePressure: 1017.4, min_temp: 21.2, max_temp: 27.4, date_min_temp: 1555631374, date_max_temp: 1555662436, temp_trend: 'up' } }, { _id: '06:00:00:02:47:01', type: 'NAModule1', module_name: 'Outdoor Module', reachable: true, firmware: 19, rf_status: 31, battery_vp: 5148, battery_percent: 58, dashboard_data: { time_utc: 1555677739, Temperature: 23.7, Humidity: 41, min_temp: 21.2, max_temp: 27.4, date_min_temp: 1555631374, date_max_temp: 1555662436, temp_trend: 'up' } }, { _id: '06:00:00:02:47:03', type: 'NAModule3', module_name: 'Rain gauge', reachable: true, firmware: 19, rf_status: 31, battery_vp: 5148, battery_percent: 58, dashboard_data: { time_utc: 1555677734, Rain: 0, sum_rain_24: 0, sum_rain_1: 0 } }, { _id: '06:00:00:02:47:02', type: 'NAModule2', module_name: 'Wind Module', battery_percent: 58, reachable: true, firmware: 19, rf_status: 31, battery_vp: 5148, dashboard_data: { time_utc: 1555677734, WindStrength: 2, WindAngle: 75, GustStrength: 3, GustAngle: 75, max_wind_str: 4, max_wind_angle: 100, date_max_wind_str: 1555673190 } }] }] } }
   const aircareData = { body: { devices: [{ _id: '70:ee:50:22:a3:00', date_setup: 1513707043, last_setup: 1513707043, type: 'NHC', last_status_store: 1555677748, module_name: 'string', firmware: 45, last_upgrade: 0, wifi_status: 22, reachable: true, co2_calibrating: false, station_name: 'Bedroom', data_type: ['Temperature, CO2, Humidity, Noise, Pressure, health_idx'], place: { altitude: 45, city: 'Boulogne-billancourt', country: 'string', timezone: 'Europe/Paris', location: ['30.89600807058707, 29.94281464724796'] }, dashboard_data: { time_utc: 1555677780, Temperature: 23.7, CO2: 967, Humidity: 41, Noise: 42, Pressure: 45, AbsolutePressure: 1022.9, health_idx: 1, min_temp: 21.2, max_temp: 27.4, date_max_temp: 1555662436, date_min_temp: 1555631374 }, name: 'Bedroom Baby', read_only: true }] } }
@@ -277,6 +480,13 @@ describe('Specific functions', () => {
       expect(spy2).toHaveBeenCalledWith('frame', { battery: 58, co2: 967, home: 'Home', humidity: 41, id: '06:00:00:02:47:04', maxtemp: 27.4, maxtemputc: 1555662436, mintemp: 21.2, mintemputc: 1555631374, name: 'Indoor Module', online: 1, pressure: 997.6, pressureabs: 1017.4, rfstatus: 31, temperature: 23.7, temptrend: 'up', timeutc: 1555677739, type: 'NAModule4' })
     })
 
+    test('process Weather Station : unreachable module', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const module = { _id: '02:00:00:02:47:05', type: 'NAModule1', module_name: 'Garden', reachable: false, rf_status: 90, battery_percent: 12 }
+      await client.processModule({ ...stationData.body.devices[0], modules: [module] }, module)
+      expect(spy).toHaveBeenCalledWith('frame', { id: '02:00:00:02:47:05', name: 'Garden', type: 'NAModule1', home: 'Home', online: 0, rfstatus: 90, battery: 12 })
+    })
+
     test('process Weather Station : Outdoor', async () => {
       const spy1 = jest.spyOn(client, 'processMeasure')
       const spy2 = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
@@ -300,6 +510,78 @@ describe('Specific functions', () => {
       expect(spy1).toHaveBeenCalledWith(stationData.body.devices[0].modules[3].dashboard_data)
     })
 
+    test('process Weather Station may remember station of modules', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      await client.processStation(stationData.body.devices[0])
+      expect(client.devices.get('70:ee:50:22:a3:00')).toStrictEqual({ deviceId: '70:ee:50:22:a3:00', type: 'NAMain' })
+      expect(client.devices.get('06:00:00:02:47:01')).toStrictEqual({ deviceId: '70:ee:50:22:a3:00', moduleId: '06:00:00:02:47:01', type: 'NAModule1' })
+    })
+
+    test('process Weather Station may skip a malformed module', async () => {
+      const station = { ...stationData.body.devices[0], modules: [{ _id: '06:00:00:02:47:09', type: 'NAModule1' }, stationData.body.devices[0].modules[1]] }
+      const spy = jest.spyOn(logger, 'warn')
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const frames = await client.processStation(station)
+      expect(frames.map((frame) => frame.id)).toStrictEqual(['70:ee:50:22:a3:00', '06:00:00:02:47:01'])
+      expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to process module 06:00:00:02:47:09 of Casa/))
+    })
+    test('poll Weather Stations may skip a malformed station', async () => {
+      jest.spyOn(client, 'getStationsData').mockResolvedValue([{ _id: '70:ee:50:00:00:09' }, stationData.body.devices[0]])
+      const spy = jest.spyOn(logger, 'warn')
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const frames = await client.pollStations()
+      expect(frames).toHaveLength(5)
+      expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to process station 70:ee:50:00:00:09/))
+    })
+    test('poll Weather Stations may emit removed devices', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const station = stationData.body.devices[0]
+      jest.spyOn(client, 'getStationsData').mockResolvedValueOnce([station]).mockResolvedValueOnce([{ ...station, modules: station.modules.slice(1) }])
+      await client.pollStations()
+      await client.pollStations()
+      expect(spy).toHaveBeenCalledWith('removed', '06:00:00:02:47:04')
+      expect(spy.mock.calls.filter((call) => call[0] === 'removed')).toHaveLength(1)
+      expect(client.devices.has('06:00:00:02:47:04')).toBeFalsy()
+    })
+    test('poll Weather Stations may emit devices removed before a restart', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const station = stationData.body.devices[0]
+      const ids = [station._id, ...station.modules.map((module) => module._id)]
+      const state = { data: { devices: { stations: [...ids, '06:00:00:02:47:99'] } }, get (key, value) { return this.data[key] || value }, set (key, value) { this.data[key] = value } }
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { state })
+      jest.spyOn(client, 'getStationsData').mockResolvedValue([station])
+      await client.pollStations()
+      expect(spy.mock.calls.filter((call) => call[0] === 'removed')).toStrictEqual([['removed', '06:00:00:02:47:99']])
+      expect(state.data.devices).toStrictEqual({ stations: ids })
+    })
+    test('poll Weather Stations may not remove a malformed station', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'getStationsData').mockResolvedValueOnce(stationData.body.devices).mockResolvedValueOnce([{ ...stationData.body.devices[0], dashboard_data: null }])
+      await client.pollStations()
+      await client.pollStations()
+      expect(spy).not.toHaveBeenCalledWith('removed', expect.anything())
+    })
+    test('poll Weather Stations may follow the account units', async () => {
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { units: { temperature: 'auto', wind: 'auto' } })
+      jest.spyOn(client, 'request').mockResolvedValue({ body: { ...stationData.body, user: { administrative: { unit: 1, windunit: 2, pressureunit: 0 } } } })
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const frames = await client.pollStations()
+      expect(spy).toHaveBeenCalledWith('units', expect.objectContaining({ temperature: '°F', windstrength: 'm/s', pressure: 'mbar' }))
+      expect(frames[0].temperature).toStrictEqual(74.7)
+      expect(frames[4].windstrength).toStrictEqual(0.6)
+    })
+    test('process Weather Station may add derived metrics with the station wind', async () => {
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { derived: ['dewpoint', 'windchill', 'winddir'], units: { temperature: 'F' } })
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const station = stationData.body.devices[0]
+      const windModule = { ...station.modules[3], dashboard_data: { ...station.modules[3].dashboard_data, WindStrength: 30 } }
+      const outdoorModule = { ...station.modules[1], dashboard_data: { ...station.modules[1].dashboard_data, Temperature: -5, Humidity: 80 } }
+      const frames = await client.processStation({ ...station, modules: [outdoorModule, windModule] })
+      expect(frames[0]).toMatchObject({ temperature: 74.7, dewpoint: 49.5 })
+      expect(frames[0]).not.toHaveProperty('windchill')
+      expect(frames[1]).toMatchObject({ temperature: 23, dewpoint: 17.8, windchill: 8.6 })
+      expect(frames[2]).toMatchObject({ windstrength: 30, winddir: 'ENE' })
+    })
     test('process Aircare', async () => {
       const spy1 = jest.spyOn(client, 'processMeasure')
       const spy2 = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
@@ -309,6 +591,312 @@ describe('Specific functions', () => {
     })
   })
 
+  describe('Energy', () => {
+    const homesData = [
+      {
+        id: '5e1000000000000000000001',
+        name: 'Home',
+        rooms: [{ id: '2255631832', name: 'Living room', type: 'livingroom', module_ids: ['04:00:00:00:00:01'] }, { id: '2255631833', name: 'Garage', type: 'garage' }],
+        modules: [
+          { id: '70:ee:50:00:00:01', type: 'NAPlug', name: 'Relay', modules_bridged: ['04:00:00:00:00:01'] },
+          { id: '04:00:00:00:00:01', type: 'NATherm1', name: 'Thermostat', room_id: '2255631832', bridge: '70:ee:50:00:00:01' },
+          { id: '70:ee:50:22:a3:00', type: 'NAMain', name: 'Station' }
+        ]
+      },
+      { id: '5e1000000000000000000002', name: 'Weather only', modules: [{ id: '70:ee:50:22:a3:01', type: 'NAMain' }] }
+    ]
+    const homeStatus = {
+      id: '5e1000000000000000000001',
+      rooms: [
+        { id: '2255631832', reachable: true, therm_measured_temperature: 19.5, therm_setpoint_temperature: 20, therm_setpoint_mode: 'schedule', heating_power_request: 60, open_window: false },
+        { id: '2255631833' }
+      ],
+      modules: [
+        { id: '70:ee:50:00:00:01', type: 'NAPlug', reachable: true, wifi_strength: 60, rf_strength: 80 },
+        { id: '04:00:00:00:00:01', type: 'NATherm1', reachable: true, boiler_status: true, rf_strength: 70, battery_state: 'high', battery_level: 4100, bridge: '70:ee:50:00:00:01' },
+        { id: '70:ee:50:22:a3:00', type: 'NAMain', reachable: true }
+      ]
+    }
+    const roomFrame = { temperature: 19.5, setpoint: 20, setpointmode: 'schedule', heatingpower: 60, openwindow: 0, id: '5e1000000000000000000001/2255631832', name: 'Living room', type: 'room', home: 'Home', online: 1 }
+    const relayFrame = { id: '70:ee:50:00:00:01', name: 'Relay', type: 'NAPlug', home: 'Home', online: 1, rfstatus: 80, wifistatus: 60 }
+    const thermostatFrame = { boilerstatus: 1, id: '04:00:00:00:00:01', name: 'Thermostat', type: 'NATherm1', home: 'Home', online: 1, rfstatus: 70, batterystate: 'high', batterylevel: 4100 }
+
+    beforeEach(() => {
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { energy: true })
+      jest.spyOn(client, 'getHomesData').mockResolvedValue(homesData)
+      jest.spyOn(client, 'getHomeStatus').mockResolvedValue(homeStatus)
+    })
+
+    test('pollEnergy may publish room and module frames', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const frames = await client.pollEnergy()
+      expect(frames).toStrictEqual([roomFrame, relayFrame, thermostatFrame])
+      expect(spy).toHaveBeenCalledWith('frame', roomFrame)
+      expect(spy).toHaveBeenCalledWith('poll', { source: 'energy', duration: expect.any(Number), frames: 3 })
+      expect(client.getHomeStatus).toHaveBeenCalledTimes(1)
+      expect(client.getHomeStatus).toHaveBeenCalledWith('5e1000000000000000000001')
+      expect(client.devices.get(roomFrame.id)).toStrictEqual({ homeId: '5e1000000000000000000001', roomId: '2255631832', type: 'room' })
+      expect(client.devices.get(thermostatFrame.id)).toStrictEqual({ homeId: '5e1000000000000000000001', deviceId: '70:ee:50:00:00:01', moduleId: '04:00:00:00:00:01', type: 'NATherm1' })
+    })
+    test('pollEnergy may convert temperatures', async () => {
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { energy: true, units: { temperature: 'F' } })
+      jest.spyOn(client, 'getHomesData').mockResolvedValue(homesData)
+      jest.spyOn(client, 'getHomeStatus').mockResolvedValue(homeStatus)
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const [room] = await client.pollEnergy()
+      expect(room).toMatchObject({ temperature: 67.1, setpoint: 68 })
+    })
+    test('pollEnergy may skip a home with no status', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      client.getHomeStatus.mockRejectedValue(new Error('timeout'))
+      const spy = jest.spyOn(logger, 'warn')
+      expect(await client.pollEnergy()).toStrictEqual([])
+      expect(spy).toHaveBeenCalledWith('Unable to process home 5e1000000000000000000001 (timeout)')
+    })
+    test('pollEnergy may emit removed rooms and modules', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      await client.pollEnergy()
+      client.getHomesData.mockResolvedValue([{ ...homesData[0], rooms: [], modules: homesData[0].modules.slice(0, 1) }])
+      await client.pollEnergy()
+      expect(spy.mock.calls.filter((call) => call[0] === 'removed')).toStrictEqual([['removed', roomFrame.id], ['removed', thermostatFrame.id]])
+    })
+    test('startPolling may skip an Energy poll while the previous one is running in adaptive mode', async () => {
+      jest.useFakeTimers()
+      jest.spyOn(client, 'connect').mockResolvedValue()
+      jest.spyOn(client, 'pollStations').mockResolvedValue([])
+      jest.spyOn(client, 'pollAircares').mockResolvedValue([])
+      const spy1 = jest.spyOn(client, 'pollEnergy').mockResolvedValueOnce([]).mockReturnValue(new Promise(() => {}))
+      const spy2 = jest.spyOn(logger, 'warn')
+      const listeners = { SIGTERM: process.listeners('SIGTERM'), SIGINT: process.listeners('SIGINT') }
+      await client.startPolling({}, { mode: 'adaptive', interval: 60 })
+      await jest.advanceTimersByTimeAsync(120000)
+      expect(spy1).toHaveBeenCalledTimes(2)
+      expect(spy2).toHaveBeenCalledWith('Previous poll still running, poll skipped')
+      process.emit('SIGTERM')
+      jest.useRealTimers()
+      for (const [signal, previous] of Object.entries(listeners)) {
+        process.listeners(signal).filter((listener) => !previous.includes(listener)).forEach((listener) => process.removeListener(signal, listener))
+      }
+    })
+    test('set command may set a manual room setpoint and publish the new state', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const request = jest.spyOn(client, 'request').mockResolvedValue({ status: 'ok', time_server: 1686866460 })
+      await client.pollEnergy()
+      spy.mockClear()
+      const endtime = Math.floor(Date.now() / 1000) + 3600
+      await client.handleCommand('set', { home: homesData[0].id, room: '2255631832', mode: 'manual', temperature: 21, endtime, responseTopic: 'my/response' })
+      expect(request).toHaveBeenCalledWith('POST', '/api/setroomthermpoint', null, { home_id: homesData[0].id, room_id: '2255631832', mode: 'manual', temp: 21, endtime })
+      expect(spy).toHaveBeenCalledWith('frame', roomFrame)
+      expect(spy).toHaveBeenCalledWith('response', 'my/response', { correlationId: undefined, home: homesData[0].id, room: '2255631832', mode: 'manual', temperature: 21, endtime, status: 'ok' })
+    })
+    test('set command may set the home mode', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const request = jest.spyOn(client, 'request').mockResolvedValue({ status: 'ok' })
+      await client.pollEnergy()
+      await client.setCommand({ home: homesData[0].id, mode: 'hg', endtime: '2100-01-01T00:00:00Z' })
+      expect(request).toHaveBeenCalledWith('POST', '/api/setthermmode', null, { home_id: homesData[0].id, mode: 'hg', endtime: 4102444800 })
+      await client.setCommand({ home: homesData[0].id, room: '2255631832', mode: 'home', endtime: 4102444800 })
+      expect(request).toHaveBeenCalledWith('POST', '/api/setroomthermpoint', null, { home_id: homesData[0].id, room_id: '2255631832', mode: 'home' })
+    })
+    test('set command may convert the setpoint to metric', async () => {
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { energy: true, units: { temperature: 'F' } })
+      client.homes.set(homesData[0].id, homesData[0])
+      jest.spyOn(client, 'getHomeStatus').mockResolvedValue(homeStatus)
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const request = jest.spyOn(client, 'request').mockResolvedValue({ status: 'ok' })
+      await client.setCommand({ home: homesData[0].id, room: '2255631832', mode: 'manual', temperature: 68 })
+      expect(request).toHaveBeenCalledWith('POST', '/api/setroomthermpoint', null, { home_id: homesData[0].id, room_id: '2255631832', mode: 'manual', temp: 20 })
+    })
+    test.each([
+      [{ home: 'unknown', mode: 'away' }, 'Unknown Energy home unknown'],
+      [{ room: '1', mode: 'home' }, 'Unknown room 1 in home 5e1000000000000000000001'],
+      [{ mode: 'manual', temperature: 20 }, 'Mode manual needs a room'],
+      [{ room: '2255631832', mode: 'manual' }, 'temperature must be provided'],
+      [{ room: '2255631832', mode: 'manual', temperature: 35 }, 'temperature 35 out of range (7 to 30 °C)'],
+      [{ mode: 'away', endtime: 1000 }, 'endtime 1000 is not in the future'],
+      [{ mode: 'off' }, 'Invalid mode off (expected manual, max, home, schedule, away, hg)']
+    ])('set command may reject invalid request %p', async (request, error) => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const post = jest.spyOn(client, 'request')
+      await client.pollEnergy()
+      await client.handleCommand('set', { home: homesData[0].id, ...request, responseTopic: 'my/response', correlationId: 1 })
+      expect(spy).toHaveBeenCalledWith('response', 'my/response', { correlationId: 1, error })
+      expect(post).not.toHaveBeenCalled()
+    })
+    test('pollData may poll Energy homes when enabled', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'pollStations').mockResolvedValue([])
+      jest.spyOn(client, 'pollAircares').mockResolvedValue([])
+      expect((await client.pollData()).map((frame) => frame.type)).toStrictEqual(['room', 'NAPlug', 'NATherm1'])
+    })
+    test('startPolling may poll Energy homes at fixed interval in adaptive mode', async () => {
+      jest.useFakeTimers()
+      jest.spyOn(client, 'connect').mockResolvedValue()
+      jest.spyOn(client, 'pollStations').mockResolvedValue([])
+      jest.spyOn(client, 'pollAircares').mockResolvedValue([])
+      const spy = jest.spyOn(client, 'pollEnergy').mockResolvedValue([])
+      const listeners = { SIGTERM: process.listeners('SIGTERM'), SIGINT: process.listeners('SIGINT') }
+      await client.startPolling({}, { mode: 'adaptive', interval: 60 })
+      expect(spy).toHaveBeenCalledTimes(1)
+      await jest.advanceTimersByTimeAsync(60000)
+      expect(spy).toHaveBeenCalledTimes(2)
+      process.emit('SIGTERM')
+      await jest.advanceTimersByTimeAsync(60000)
+      expect(spy).toHaveBeenCalledTimes(2)
+      jest.useRealTimers()
+      for (const [signal, previous] of Object.entries(listeners)) {
+        process.listeners(signal).filter((listener) => !previous.includes(listener)).forEach((listener) => process.removeListener(signal, listener))
+      }
+    })
+  })
+
+  describe('Security', () => {
+    const homesData = [
+      {
+        id: '5e1000000000000000000003',
+        name: 'Home',
+        modules: [
+          { id: '70:ee:50:00:00:10', type: 'NACamera', name: 'Hall' },
+          { id: '70:ee:50:00:00:11', type: 'NDB', name: 'Door' }
+        ]
+      },
+      { id: '5e1000000000000000000002', name: 'Weather only', modules: [{ id: '70:ee:50:22:a3:01', type: 'NAMain' }] }
+    ]
+    const homeStatus = {
+      id: '5e1000000000000000000003',
+      modules: [
+        { id: '70:ee:50:00:00:10', type: 'NACamera', status: 'on', monitoring: 'on', sd_status: 4, alim_status: 2, vpn_url: 'https://vpn/10', is_local: true },
+        { id: '70:ee:50:00:00:11', type: 'NDB', status: 'off', wifi_strength: 55, vpn_url: 'https://vpn/11', is_local: false }
+      ]
+    }
+    const events = [{ id: 'e2', type: 'incoming_call', time: 1686866460, module_id: '70:ee:50:00:00:11' }]
+    const cameraFrame = { monitoring: 1, sdstatus: 4, powerstatus: 2, snapshoturl: 'http://192.168.0.10/abc/live/snapshot_720.jpg', id: '70:ee:50:00:00:10', name: 'Hall', type: 'NACamera', home: 'Home', online: 1 }
+    const doorbellFrame = { snapshoturl: 'https://vpn/11/live/snapshot_720.jpg', id: '70:ee:50:00:00:11', name: 'Door', type: 'NDB', home: 'Home', online: 0, wifistatus: 55 }
+
+    beforeEach(() => {
+      client = new NetatmoClient(clientId, clientSecret, username, password, {}, { security: true })
+      jest.spyOn(client, 'getHomesData').mockResolvedValue(homesData)
+      jest.spyOn(client, 'getHomeStatus').mockResolvedValue(homeStatus)
+      jest.spyOn(client, 'getEvents').mockResolvedValue(events)
+      mock.reset()
+      mock.onGet('https://vpn/10/command/ping').replyOnce(200, { local_url: 'http://192.168.0.10/abc' })
+    })
+    afterEach(() => {
+      mock.reset()
+    })
+
+    test('pollSecurity may publish camera frames and emit home events', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const frames = await client.pollSecurity()
+      expect(frames).toStrictEqual([cameraFrame, doorbellFrame])
+      expect(spy).toHaveBeenCalledWith('frame', cameraFrame)
+      expect(spy).toHaveBeenCalledWith('homeEvents', homesData[0], events)
+      expect(spy).toHaveBeenCalledWith('poll', { source: 'security', duration: expect.any(Number), frames: 2 })
+      expect(client.getHomeStatus).toHaveBeenCalledTimes(1)
+      expect(client.devices.get(cameraFrame.id)).toStrictEqual({ homeId: '5e1000000000000000000003', deviceId: '70:ee:50:00:00:10', type: 'NACamera' })
+    })
+    test('pollSecurity may keep the local URL of a camera', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      await client.pollSecurity()
+      const [camera] = await client.pollSecurity()
+      expect(camera.snapshoturl).toStrictEqual(cameraFrame.snapshoturl)
+    })
+    test('pollSecurity may ping a camera with a short timeout', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      mock.resetHistory()
+      await client.pollSecurity()
+      expect(mock.history.get.map((request) => [request.url, request.timeout])).toStrictEqual([['https://vpn/10/command/ping', 5000]])
+    })
+    test('pollSecurity may fall back to the VPN URL', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      mock.reset()
+      mock.onGet('https://vpn/10/command/ping').reply(500)
+      const [camera] = await client.pollSecurity()
+      expect(camera.snapshoturl).toStrictEqual('https://vpn/10/live/snapshot_720.jpg')
+    })
+    test('pollSecurity may skip a home with no events', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      client.getEvents.mockRejectedValue(new Error('timeout'))
+      const spy = jest.spyOn(logger, 'warn')
+      await client.pollSecurity()
+      expect(spy).toHaveBeenCalledWith('Unable to process home 5e1000000000000000000003 (timeout)')
+    })
+    test('pollData may poll cameras when enabled', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'pollStations').mockResolvedValue([])
+      jest.spyOn(client, 'pollAircares').mockResolvedValue([])
+      expect((await client.pollData()).map((frame) => frame.type)).toStrictEqual(['NACamera', 'NDB'])
+    })
+    test('pollData may share the homes data and status requests of Energy and security', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'pollStations').mockResolvedValue([])
+      jest.spyOn(client, 'pollAircares').mockResolvedValue([])
+      client.energy = true
+      await client.pollData()
+      expect(client.getHomesData).toHaveBeenCalledTimes(1)
+      expect(client.getHomeStatus).toHaveBeenCalledTimes(1)
+      expect(client.getHomeStatus).toHaveBeenCalledWith('5e1000000000000000000003')
+    })
+
+    describe('Alarms', () => {
+      const alarmsHome = {
+        id: '5e1000000000000000000004',
+        name: 'Cottage',
+        modules: [
+          { id: '70:ee:50:00:00:20', type: 'NSD', name: 'Kitchen smoke' },
+          { id: '70:ee:50:00:00:21', type: 'NCO', name: 'Boiler CO' },
+          { id: '70:ee:50:00:00:22', type: 'NACamDoorTag', name: 'Front door', bridge: '70:ee:50:00:00:10' }
+        ]
+      }
+      const alarmsStatus = (smoke, door) => ({
+        id: '5e1000000000000000000004',
+        modules: [
+          { id: '70:ee:50:00:00:20', type: 'NSD', smoke_detected: smoke, tampered: false, last_sound_test_result: 'ok', wifi_strength: 60, battery_state: 'full', last_seen: 1686866400 },
+          { id: '70:ee:50:00:00:21', type: 'NCO', co_status: 0, wifi_strength: 58, battery_state: 'high', last_seen: 1686866410 },
+          { id: '70:ee:50:00:00:22', type: 'NACamDoorTag', status: door, reachable: true, rf_strength: 80, battery_state: 'medium', bridge: '70:ee:50:00:00:10' }
+        ]
+      })
+      const smokeFrame = { smoke: 0, tampered: 0, teststatus: 'ok', id: '70:ee:50:00:00:20', name: 'Kitchen smoke', type: 'NSD', home: 'Cottage', online: 1, wifistatus: 60, batterystate: 'full', lastseen: 1686866400 }
+      const coFrame = { co: 0, costatus: 0, id: '70:ee:50:00:00:21', name: 'Boiler CO', type: 'NCO', home: 'Cottage', online: 1, wifistatus: 58, batterystate: 'high', lastseen: 1686866410 }
+      const tagFrame = { open: 0, id: '70:ee:50:00:00:22', name: 'Front door', type: 'NACamDoorTag', home: 'Cottage', online: 1, rfstatus: 80, batterystate: 'medium' }
+
+      beforeEach(() => {
+        client.getHomesData.mockResolvedValue([alarmsHome])
+        client.getHomeStatus.mockResolvedValue(alarmsStatus(false, 'closed'))
+      })
+
+      test('pollSecurity may publish alarm and door tag frames', async () => {
+        const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+        expect(await client.pollSecurity()).toStrictEqual([smokeFrame, coFrame, tagFrame])
+        expect(spy).not.toHaveBeenCalledWith('event', expect.anything())
+        expect(client.getEvents).not.toHaveBeenCalled()
+        expect(client.devices.get(tagFrame.id)).toStrictEqual({ homeId: '5e1000000000000000000004', deviceId: '70:ee:50:00:00:10', moduleId: '70:ee:50:00:00:22', type: 'NACamDoorTag' })
+      })
+      test('pollSecurity may emit detection changes as events', async () => {
+        const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+        await client.pollSecurity()
+        client.getHomeStatus.mockResolvedValue(alarmsStatus(true, 'open'))
+        await client.pollSecurity()
+        client.getHomeStatus.mockResolvedValue(alarmsStatus(true, 'no_news'))
+        await client.pollSecurity()
+        expect(spy.mock.calls.filter((call) => call[0] === 'event')).toStrictEqual([
+          ['event', { type: 'smoke_detected', time: expect.any(Number), module: smokeFrame.id, name: 'Kitchen smoke', home: 'Cottage' }],
+          ['event', { type: 'tag_open', time: expect.any(Number), module: tagFrame.id, name: 'Front door', home: 'Cottage' }]
+        ])
+      })
+      test('pollSecurity may emit CO and tamper changes as events', async () => {
+        const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+        await client.pollSecurity()
+        const status = alarmsStatus(false, 'closed')
+        status.modules[0].tampered = true
+        status.modules[1].co_status = 2
+        client.getHomeStatus.mockResolvedValue(status)
+        await client.pollSecurity()
+        expect(spy.mock.calls.filter((call) => call[0] === 'event').map((call) => call[1].type)).toStrictEqual(['tampered', 'co_detected'])
+      })
+    })
+  })
+
   describe('Poller', () => {
     beforeEach(async () => {
       await client.connect(authResult.access_token, undefined, 3600 + Date.now() / 1000)
@@ -329,5 +917,95 @@ describe('Specific functions', () => {
       process.emit('SIGINT')
       expect(spy2).toHaveBeenCalledTimes(2)
     })
+
+    test('startPolling may use the configured interval', async () => {
+      const spy = jest.spyOn(global, 'setInterval')
+      await client.startPolling({}, { interval: 300 })
+      expect(spy).toHaveBeenLastCalledWith(expect.any(Function), 300000)
+      clearInterval(client.intervalId)
+    })
+
+    test('startPolling may schedule stations and homecoachs separately in adaptive mode', async () => {
+      const spy1 = jest.spyOn(client, 'pollStations')
+      const spy2 = jest.spyOn(client, 'pollAircares')
+      await client.startPolling({}, { mode: 'adaptive', interval: 60 })
+      expect(spy1).toHaveBeenCalledTimes(1)
+      expect(spy2).toHaveBeenCalledTimes(1)
+      expect(client.schedulers.map((scheduler) => scheduler.name)).toStrictEqual(['weather stations', 'homecoachs'])
+      expect(client.intervalId).toBeNull()
+      process.emit('SIGTERM')
+      expect(client.schedulers.every((scheduler) => scheduler.stopped)).toBeTruthy()
+    })
+
+    test('startPolling may start in adaptive mode when a source fails', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'getStationsData').mockRejectedValue(new Error('timeout'))
+      const spy1 = jest.spyOn(client, 'pollAircares')
+      const spy2 = jest.spyOn(logger, 'warn')
+      await client.startPolling({}, { mode: 'adaptive', interval: 60 })
+      expect(spy1).toHaveBeenCalledTimes(1)
+      expect(spy2).toHaveBeenCalledWith('Unable to poll weather stations (timeout)')
+      expect(client.schedulers.every((scheduler) => scheduler.timeoutId)).toBeTruthy()
+      process.emit('SIGTERM')
+    })
+
+    test('pollData may return published frames', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      const frames = await client.pollData()
+      expect(frames.map((frame) => frame.type)).toStrictEqual(['NAMain', 'NAModule4', 'NAModule1', 'NAModule3', 'NAModule2', 'NHC'])
+    })
+
+    test('pollData may poll HomeCoachs when Weather Stations fail', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'getStationsData').mockRejectedValue(new Error('timeout'))
+      const spy = jest.spyOn(logger, 'warn')
+      const frames = await client.pollData()
+      expect(frames.map((frame) => frame.type)).toStrictEqual(['NHC'])
+      expect(spy).toHaveBeenCalledWith('Unable to poll data (timeout)')
+    })
+    test('pollData may throw when all polls fail', async () => {
+      jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'getStationsData').mockRejectedValue(new Error('timeout'))
+      jest.spyOn(client, 'getHomeCoachData').mockRejectedValue(new Error('timeout'))
+      await expect(client.pollData()).rejects.toThrowError('timeout')
+    })
+    test('pollSafely may show a warn instead of throwing', async () => {
+      jest.spyOn(client, 'pollData').mockRejectedValue(new Error('timeout'))
+      const spy = jest.spyOn(logger, 'warn')
+      await client.pollSafely()
+      expect(spy).toHaveBeenCalledWith('Unable to poll data (timeout)')
+      expect(client.polling).toBeFalsy()
+    })
+    test('pollSafely may skip a poll while the previous one runs', async () => {
+      let resolve
+      const spy1 = jest.spyOn(client, 'pollData').mockReturnValue(new Promise((_resolve) => { resolve = _resolve }))
+      const spy2 = jest.spyOn(logger, 'warn')
+      const first = client.pollSafely()
+      await client.pollSafely()
+      expect(spy2).toHaveBeenCalledWith('Previous poll still running, poll skipped')
+      resolve([])
+      await first
+      expect(spy1).toHaveBeenCalledTimes(1)
+    })
+    test('reauthenticate may get a new access token', async () => {
+      await client.connect(null, authResult.refresh_token)
+      client.accessToken = 'old'
+      await client.reauthenticate()
+      expect(client.accessToken).toStrictEqual(authResult.access_token)
+    })
+    test('pollData may emit requests and poll durations', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      await client.pollData()
+      expect(spy).toHaveBeenCalledWith('request', '/api/getstationsdata', null)
+      expect(spy).toHaveBeenCalledWith('poll', { source: 'stations', duration: expect.any(Number), frames: 5 })
+      expect(spy).toHaveBeenCalledWith('poll', { source: 'homecoachs', duration: expect.any(Number), frames: 1 })
+    })
+
+    test('pollStations may emit failed polls', async () => {
+      const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+      jest.spyOn(client, 'getStationsData').mockRejectedValue(new Error('timeout'))
+      await expect(client.pollStations()).rejects.toThrowError('timeout')
+      expect(spy).toHaveBeenCalledWith('poll', { source: 'stations', duration: expect.any(Number), error: new Error('timeout') })
+    })
   })
 })
@@ -0,0 +1,72 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const OfflineQueue = require('../lib/queue')
+const { eventEmitter } = require('../lib/utils')
+const logger = require('../lib/logs')
+
+describe('Offline queue', () => {
+  const queueDir = path.join(os.tmpdir(), `mqtt4netatmo-queue-${process.pid}`)
+  const queueFile = path.join(queueDir, 'queue.json')
+  afterAll(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true })
+  })
+
+  test('should keep messages in order', () => {
+    const queue = new OfflineQueue()
+    queue.push('netatmo/1', 'a', {}, 1000)
+    queue.push('netatmo/2', 'b', { qos: 1 }, 2000)
+    expect(queue.length).toStrictEqual(2)
+    expect(queue.peek(3000)).toStrictEqual({ topic: 'netatmo/1', payload: 'a', options: {}, time: 1000 })
+    queue.shift()
+    expect(queue.peek(3000)).toStrictEqual({ topic: 'netatmo/2', payload: 'b', options: { qos: 1 }, time: 2000 })
+  })
+  test('should drop the oldest messages over the maximal size', () => {
+    const spy1 = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const spy2 = jest.spyOn(logger, 'warn')
+    const queue = new OfflineQueue(2)
+    queue.push('netatmo/1', 'a', {}, 1000)
+    queue.push('netatmo/1', 'b', {}, 2000)
+    queue.push('netatmo/1', 'c', {}, 3000)
+    expect(queue.items.map((item) => item.payload)).toStrictEqual(['b', 'c'])
+    expect(queue.dropped).toStrictEqual(1)
+    expect(spy1).toHaveBeenCalledWith('dropped', 1, 'overflow')
+    expect(spy2).toHaveBeenCalledWith('1 queued messages dropped (overflow)')
+  })
+  test('should drop expired messages', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const queue = new OfflineQueue(10, 1)
+    queue.push('netatmo/1', 'a', {}, 0)
+    queue.push('netatmo/1', 'b', {}, 1000)
+    expect(queue.peek(3601000).payload).toStrictEqual('b')
+    expect(queue.peek(3601001)).toBeUndefined()
+    expect(queue.dropped).toStrictEqual(2)
+    expect(spy).toHaveBeenCalledWith('dropped', 1, 'expired')
+  })
+  test('should save messages and read them back', async () => {
+    const queue = new OfflineQueue(10, 24, queueFile)
+    queue.push('netatmo/1', 'a')
+    queue.push('netatmo/1', 'b')
+    await queue.pending
+    const other = new OfflineQueue(10, 24, queueFile)
+    await other.load()
+    expect(other.items.map((item) => item.payload)).toStrictEqual(['a', 'b'])
+    other.shift()
+    await other.pending
+    expect(JSON.parse(fs.readFileSync(queueFile, 'utf8'))).toHaveLength(1)
+  })
+  test('should start empty when file does not exist', async () => {
+    const queue = new OfflineQueue(10, 24, path.join(queueDir, 'none.json'))
+    await queue.load()
+    expect(queue.length).toStrictEqual(0)
+  })
+  test('should show a warn and start empty if file is invalid', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    fs.writeFileSync(queueFile, '[')
+    const queue = new OfflineQueue(10, 24, queueFile)
+    await queue.load()
+    expect(queue.length).toStrictEqual(0)
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to read queue file/))
+  })
+})
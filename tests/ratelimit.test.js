@@ -0,0 +1,57 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { NETATMO_LIMITS, TokenBucket, RateLimiter } = require('../lib/ratelimit')
+
+describe('Token bucket', () => {
+  test('should throw error if capacity or period is not provided', () => {
+    expect(() => { new TokenBucket() }).toThrowError(new Error('Capacity and period must be provided'))
+  })
+  test('should allow requests up to its capacity', () => {
+    const bucket = new TokenBucket(2, 10)
+    const now = bucket.updated
+    expect(bucket.delay(now)).toStrictEqual(0)
+    bucket.take()
+    expect(bucket.delay(now)).toStrictEqual(0)
+    bucket.take()
+    expect(bucket.delay(now)).toStrictEqual(5000)
+  })
+  test('should refill continuously up to its capacity', () => {
+    const bucket = new TokenBucket(2, 10)
+    const now = bucket.updated
+    bucket.take()
+    bucket.take()
+    expect(bucket.delay(now + 4000)).toStrictEqual(1000)
+    expect(bucket.delay(now + 5000)).toStrictEqual(0)
+    bucket.delay(now + 60000)
+    expect(bucket.tokens).toStrictEqual(2)
+  })
+})
+
+describe('Rate limiter', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('should enforce Netatmo limits by default', () => {
+    const limiter = new RateLimiter()
+    expect(limiter.buckets.map((bucket) => bucket.capacity)).toStrictEqual(NETATMO_LIMITS.map((limit) => limit.requests))
+  })
+  test('should not wait while requests are allowed', async () => {
+    const limiter = new RateLimiter([{ requests: 2, period: 10 }])
+    const spy = jest.spyOn(global, 'setTimeout')
+    await limiter.acquire()
+    await limiter.acquire()
+    expect(spy).not.toHaveBeenCalled()
+  })
+  test('should wait for the most restrictive limit', async () => {
+    jest.useFakeTimers()
+    const limiter = new RateLimiter([{ requests: 1, period: 10 }, { requests: 1, period: 60 }])
+    await limiter.acquire()
+    let done = false
+    const pending = limiter.acquire().then(() => { done = true })
+    await jest.advanceTimersByTimeAsync(10000)
+    expect(done).toBeFalsy()
+    await jest.advanceTimersByTimeAsync(50000)
+    await pending
+    expect(done).toBeTruthy()
+  })
+})
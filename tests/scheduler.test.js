@@ -0,0 +1,92 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const PollScheduler = require('../lib/scheduler')
+const logger = require('../lib/logs')
+
+const now = 1672119606
+
+describe('Create PollScheduler', () => {
+  test('should throw error if no poll function is provided', () => {
+    expect(() => { new PollScheduler('stations') }).toThrowError(new Error('Name and poll function must be provided'))
+  })
+  test('should set default interval', () => {
+    expect(new PollScheduler('stations', async () => []).interval).toBe(60)
+  })
+})
+
+describe('Next poll delay', () => {
+  let scheduler
+  beforeEach(() => {
+    scheduler = new PollScheduler('stations', async () => [], 60)
+  })
+
+  test('should poll just after the next expected upload', () => {
+    const frames = [{ id: 'a', timeutc: now - 100 }, { id: 'b', timeutc: now - 300 }]
+    expect(scheduler.nextDelay(frames, now)).toBe(330)
+  })
+  test('should not poll faster than the interval', () => {
+    expect(scheduler.nextDelay([{ id: 'a', timeutc: now - 610 }], now)).toBe(60)
+  })
+  test('should back off while values do not change', () => {
+    const frames = [{ id: 'a', timeutc: now - 700 }]
+    expect(scheduler.nextDelay(frames, now)).toBe(60)
+    expect(scheduler.nextDelay(frames, now + 60)).toBe(120)
+    expect(scheduler.nextDelay(frames, now + 180)).toBe(240)
+    expect(scheduler.nextDelay(frames, now + 420)).toBe(480)
+    expect(scheduler.nextDelay(frames, now + 900)).toBe(600)
+  })
+  test('should reset back off when values change', () => {
+    scheduler.nextDelay([{ id: 'a', timeutc: now - 700 }], now)
+    scheduler.nextDelay([{ id: 'a', timeutc: now - 700 }], now)
+    expect(scheduler.nextDelay([{ id: 'a', timeutc: now - 10 }], now)).toBe(620)
+  })
+  test('should ignore frames without time', () => {
+    expect(scheduler.nextDelay([{ id: 'a' }], now)).toBe(120)
+  })
+})
+
+describe('Polling', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('should poll at start and schedule the next poll', async () => {
+    const poll = jest.fn().mockResolvedValue([])
+    const spy = jest.spyOn(global, 'setTimeout')
+    const scheduler = new PollScheduler('stations', poll, 30)
+    await scheduler.start()
+    expect(poll).toHaveBeenCalledTimes(1)
+    expect(spy).toHaveBeenLastCalledWith(expect.any(Function), 60000)
+    scheduler.stop()
+  })
+  test('should show a warn and retry after interval if the first poll fails', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const poll = jest.fn().mockRejectedValue(new Error('failed'))
+    const scheduler = new PollScheduler('stations', poll, 30)
+    await scheduler.start()
+    expect(spy).toHaveBeenCalledWith('Unable to poll stations (failed)')
+    await jest.advanceTimersByTimeAsync(30000)
+    expect(poll).toHaveBeenCalledTimes(2)
+    scheduler.stop()
+  })
+  test('should show a warn and retry after interval if a poll fails', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const poll = jest.fn().mockRejectedValue(new Error('failed'))
+    const scheduler = new PollScheduler('stations', poll, 30)
+    await scheduler.run()
+    expect(spy).toHaveBeenCalledWith('Unable to poll stations (failed)')
+    await jest.advanceTimersByTimeAsync(30000)
+    expect(poll).toHaveBeenCalledTimes(2)
+    scheduler.stop()
+  })
+  test('should not poll anymore when stopped', async () => {
+    const poll = jest.fn().mockResolvedValue([])
+    const scheduler = new PollScheduler('stations', poll, 30)
+    await scheduler.start()
+    scheduler.stop()
+    await jest.advanceTimersByTimeAsync(600000)
+    expect(poll).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,53 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const axios = require('axios')
+const HttpServer = require('../lib/server')
+const logger = require('../lib/logs')
+
+describe('HTTP server', () => {
+  let server
+  let baseURL
+  beforeAll(async () => {
+    server = new HttpServer(18080, '127.0.0.1')
+    server.route('/ok', () => ({ body: 'ok\n' }))
+    server.route('/ko', () => ({ status: 503, type: 'application/json', body: '{}' }))
+    server.route('/fail', () => { throw new Error('boom') })
+    await server.start()
+    baseURL = 'http://127.0.0.1:18080'
+  })
+  afterAll(async () => {
+    await server.stop()
+  })
+
+  test('should throw error if no port is provided', () => {
+    expect(() => { new HttpServer() }).toThrowError(new Error('HTTP port must be provided'))
+  })
+  test('should answer with the route handler', async () => {
+    const res = await axios.get('/ok?x=1', { baseURL })
+    expect(res.status).toStrictEqual(200)
+    expect(res.headers['content-type']).toStrictEqual('text/plain')
+    expect(res.data).toStrictEqual('ok\n')
+  })
+  test('should answer with the handler status and type', async () => {
+    const res = await axios.get('/ko', { baseURL, validateStatus: () => true })
+    expect(res.status).toStrictEqual(503)
+    expect(res.headers['content-type']).toStrictEqual('application/json')
+  })
+  test('should answer 404 to unknown paths', async () => {
+    const res = await axios.get('/unknown', { baseURL, validateStatus: () => true })
+    expect(res.status).toStrictEqual(404)
+  })
+  test('should answer 405 to other methods', async () => {
+    const res = await axios.post('/ok', null, { baseURL, validateStatus: () => true })
+    expect(res.status).toStrictEqual(405)
+  })
+  test('should answer 500 and show a warn when the handler fails', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    const res = await axios.get('/fail', { baseURL, validateStatus: () => true })
+    expect(res.status).toStrictEqual(500)
+    expect(spy).toHaveBeenCalledWith('Unable to answer /fail (boom)')
+  })
+  test('should fail to start on a used port', async () => {
+    const other = new HttpServer(18080, '127.0.0.1')
+    await expect(other.start()).rejects.toThrowError(/^HTTP server error/)
+  })
+})
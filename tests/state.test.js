@@ -0,0 +1,51 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const StateStore = require('../lib/state')
+const logger = require('../lib/logs')
+
+describe('State store', () => {
+  const stateDir = path.join(os.tmpdir(), `mqtt4netatmo-state-${process.pid}`)
+  const stateFile = path.join(stateDir, 'state.json')
+  afterAll(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true })
+  })
+
+  test('should throw error if no file is provided', () => {
+    expect(() => { new StateStore() }).toThrowError(new Error('State file must be provided'))
+  })
+  test('should start empty when file does not exist', async () => {
+    const state = new StateStore(stateFile)
+    await state.load()
+    expect(state.get('key', 'default')).toStrictEqual('default')
+  })
+  test('should save values and read them back', async () => {
+    const state = new StateStore(stateFile)
+    state.set('key', { a: 1 })
+    expect(state.get('key')).toStrictEqual({ a: 1 })
+    await state.save()
+    const other = new StateStore(stateFile)
+    await other.load()
+    expect(other.get('key')).toStrictEqual({ a: 1 })
+  })
+  test('should save values a few seconds after a change', async () => {
+    jest.useFakeTimers()
+    const state = new StateStore(stateFile)
+    const spy = jest.spyOn(state, 'save')
+    state.set('a', 1)
+    state.set('b', 2)
+    jest.advanceTimersByTime(10000)
+    expect(spy).toHaveBeenCalledTimes(1)
+    jest.useRealTimers()
+    await state.pending
+  })
+  test('should show a warn and start empty if file is invalid', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    fs.writeFileSync(stateFile, '{')
+    const state = new StateStore(stateFile)
+    await state.load()
+    expect(state.data).toStrictEqual({})
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to read state file/))
+  })
+})
@@ -0,0 +1,70 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const BridgeStatus = require('../lib/status')
+const { eventEmitter } = require('../lib/utils')
+
+const netatmo = { expiresInTimestamp: 1700010800, devices: new Map([['70:ee:50:22:a3:00', {}], ['02:00:00:00:00:00', {}]]) }
+
+describe('Bridge status', () => {
+  let status
+  let spy
+  beforeEach(() => {
+    status = new BridgeStatus(netatmo, 10)
+    spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+  })
+
+  test('should throw error if no netatmo client is provided', () => {
+    expect(() => { new BridgeStatus() }).toThrowError(new Error('Netatmo client must be provided'))
+  })
+  test('should listen to polls', () => {
+    const on = jest.spyOn(eventEmitter, 'on').mockImplementation(() => {})
+    status.start()
+    expect(on).toHaveBeenCalledWith('poll', expect.any(Function))
+  })
+  test('should emit the status after a successful poll', () => {
+    status.update({ source: 'stations', duration: 1, frames: 2 }, 1700000000)
+    expect(spy).toHaveBeenCalledWith('status', {
+      lastSuccess: 1700000000,
+      lastError: null,
+      lastErrorTime: null,
+      consecutiveFailures: 0,
+      tokenExpiry: 1700010800,
+      devices: 2
+    })
+  })
+  test('should count consecutive failures until a success', () => {
+    status.update({ source: 'stations', duration: 1, frames: 2 }, 1700000000)
+    status.update({ source: 'stations', duration: 1, error: new Error('timeout') }, 1700000060)
+    status.update({ source: 'stations', duration: 1, error: new Error('HTTP 500') }, 1700000120)
+    expect(status.toJSON()).toMatchObject({ lastSuccess: 1700000000, lastError: 'HTTP 500', lastErrorTime: 1700000120, consecutiveFailures: 2 })
+    status.update({ source: 'stations', duration: 1, frames: 2 }, 1700000180)
+    expect(status.toJSON()).toMatchObject({ lastSuccess: 1700000180, lastError: 'HTTP 500', consecutiveFailures: 0 })
+  })
+  test('should count failures of each source', () => {
+    status.update({ source: 'stations', duration: 1, error: new Error('timeout') }, 1700000000)
+    status.update({ source: 'homecoachs', duration: 1, frames: 1 }, 1700000000)
+    expect(status.toJSON().consecutiveFailures).toStrictEqual(1)
+  })
+  test('should be unhealthy when polls fail longer than the threshold', () => {
+    status.update({ source: 'stations', duration: 1, error: new Error('timeout') }, 1700000000)
+    status.update({ source: 'homecoachs', duration: 1, frames: 1 }, 1700000300)
+    expect(status.isHealthy(1700000600)).toBeTruthy()
+    expect(status.isHealthy(1700000601)).toBeFalsy()
+  })
+  test('should be unhealthy when no poll succeeds for longer than the threshold', () => {
+    status.update({ source: 'stations', duration: 1, frames: 2 }, 1700000000)
+    expect(status.isHealthy(1700001230)).toBeTruthy()
+    expect(status.isHealthy(1700001231)).toBeFalsy()
+  })
+  test('should be unhealthy when no poll succeeds after the start', () => {
+    status = new BridgeStatus(netatmo, 10, 900)
+    expect(status.isHealthy(status.startTime + 1500)).toBeTruthy()
+    expect(status.isHealthy(status.startTime + 1501)).toBeFalsy()
+  })
+  test('should answer the health check', () => {
+    expect(status.health()).toStrictEqual({ status: 200, type: 'application/json', body: expect.any(String) })
+    status.update({ source: 'stations', duration: 1, error: new Error('timeout') }, 1600000000)
+    const response = status.health()
+    expect(response.status).toStrictEqual(503)
+    expect(JSON.parse(response.body)).toMatchObject({ healthy: false, lastError: 'timeout', consecutiveFailures: 1 })
+  })
+})
@@ -0,0 +1,103 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const PollSupervisor = require('../lib/supervisor')
+const { eventEmitter } = require('../lib/utils')
+const logger = require('../lib/logs')
+
+const failed = { source: 'stations', duration: 1, error: new Error('timeout') }
+const succeeded = { source: 'stations', duration: 1, frames: 5 }
+
+describe('Poll supervisor', () => {
+  let netatmo
+  let supervisor
+  beforeEach(() => {
+    netatmo = { reauthenticate: jest.fn().mockResolvedValue() }
+    supervisor = new PollSupervisor(netatmo, { reauthAfter: 2, exitAfter: 4 })
+    jest.spyOn(supervisor, 'exit').mockImplementation(() => {})
+  })
+
+  test('should throw error if no netatmo client is provided', () => {
+    expect(() => { new PollSupervisor() }).toThrowError(new Error('Netatmo client must be provided'))
+  })
+  test('should set default thresholds', () => {
+    const other = new PollSupervisor(netatmo)
+    expect(other.reauthAfter).toStrictEqual(3)
+    expect(other.exitAfter).toStrictEqual(10)
+  })
+  test('should listen to polls', () => {
+    const spy = jest.spyOn(eventEmitter, 'on').mockImplementation(() => {})
+    supervisor.start()
+    expect(spy).toHaveBeenCalledWith('poll', expect.any(Function))
+  })
+  test('should authenticate again after consecutive failures', async () => {
+    await supervisor.check(failed)
+    expect(netatmo.reauthenticate).not.toHaveBeenCalled()
+    await supervisor.check(failed)
+    expect(netatmo.reauthenticate).toHaveBeenCalledTimes(1)
+  })
+  test('should reset failures after a successful poll', async () => {
+    await supervisor.check(failed)
+    await supervisor.check(succeeded)
+    await supervisor.check(failed)
+    expect(netatmo.reauthenticate).not.toHaveBeenCalled()
+  })
+  test('should count failures of each source', async () => {
+    await supervisor.check(failed)
+    await supervisor.check({ ...failed, source: 'homecoachs' })
+    expect(netatmo.reauthenticate).not.toHaveBeenCalled()
+  })
+  test('should show a warn if authentication fails', async () => {
+    netatmo.reauthenticate.mockRejectedValue(new Error('invalid_grant'))
+    const spy = jest.spyOn(logger, 'warn')
+    await supervisor.check(failed)
+    await supervisor.check(failed)
+    expect(spy).toHaveBeenCalledWith('Unable to authenticate (invalid_grant)')
+  })
+  test('should exit past the failure threshold', async () => {
+    for (let i = 0; i < 4; i++) {
+      await supervisor.check(failed)
+    }
+    expect(supervisor.exit).toHaveBeenCalledWith('4 consecutive polls of every source failed (stations: timeout)')
+  })
+  test('should not exit while another source succeeds', async () => {
+    for (let i = 0; i < 6; i++) {
+      await supervisor.check(failed)
+      await supervisor.check({ ...succeeded, source: 'homecoachs' })
+    }
+    expect(supervisor.exit).not.toHaveBeenCalled()
+    expect(netatmo.reauthenticate).toHaveBeenCalledTimes(3)
+  })
+  test('should exit when every source is past the failure threshold', async () => {
+    for (let i = 0; i < 4; i++) {
+      await supervisor.check(failed)
+      await supervisor.check({ ...failed, source: 'homecoachs' })
+    }
+    expect(supervisor.exit).toHaveBeenCalledTimes(1)
+    expect(supervisor.exit).toHaveBeenCalledWith('4 consecutive polls of every source failed (homecoachs: timeout)')
+  })
+  test('should never escalate when disabled', async () => {
+    supervisor = new PollSupervisor(netatmo, { reauthAfter: 0, exitAfter: 0 })
+    const spy = jest.spyOn(supervisor, 'exit')
+    for (let i = 0; i < 20; i++) {
+      await supervisor.check(failed)
+    }
+    expect(netatmo.reauthenticate).not.toHaveBeenCalled()
+    expect(spy).not.toHaveBeenCalled()
+  })
+  test('should stop the bridge and exit with an error code', () => {
+    supervisor.exit.mockRestore()
+    jest.useFakeTimers()
+    const emit = jest.spyOn(process, 'emit').mockImplementation(() => {})
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {})
+    const spy = jest.spyOn(logger, 'error')
+    supervisor.exit('4 consecutive polls of every source failed (stations: timeout)')
+    supervisor.exit('4 consecutive polls of every source failed (homecoachs: timeout)')
+    expect(spy).toHaveBeenCalledTimes(1)
+    expect(spy).toHaveBeenCalledWith('4 consecutive polls of every source failed (stations: timeout), exiting')
+    expect(emit).toHaveBeenCalledWith('SIGTERM')
+    expect(process.exitCode).toStrictEqual(1)
+    jest.advanceTimersByTime(10000)
+    expect(exit).toHaveBeenCalledWith(1)
+    process.exitCode = undefined
+    jest.useRealTimers()
+  })
+})
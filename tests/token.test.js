@@ -0,0 +1,78 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { FileTokenStore, MqttTokenStore } = require('../lib/token')
+const logger = require('../lib/logs')
+
+const token = { accessToken: '2YotnFZFEjr1zCsicMWpAA', refreshToken: 'tGzv3JOkF0XG5Qx2TlKWIA', expiresInTimestamp: 1686883090 }
+
+describe('File token store', () => {
+  const tokenDir = path.join(os.tmpdir(), `mqtt4netatmo-${process.pid}`)
+  const tokenFile = path.join(tokenDir, 'token.json')
+  afterAll(() => {
+    fs.rmSync(tokenDir, { recursive: true, force: true })
+  })
+
+  test('should throw error if no file is provided', () => {
+    expect(() => { new FileTokenStore() }).toThrowError(new Error('Token file must be provided'))
+  })
+  test('should return an empty token when file does not exist', async () => {
+    const store = new FileTokenStore(tokenFile)
+    expect(await store.load()).toStrictEqual({})
+  })
+  test('should write and read back the token', async () => {
+    const store = new FileTokenStore(tokenFile)
+    await store.save(token)
+    expect(await store.load()).toStrictEqual(token)
+    expect(fs.statSync(tokenFile).mode & 0o777).toBe(0o600)
+    expect(fs.readdirSync(tokenDir)).toStrictEqual(['token.json'])
+  })
+  test('should keep the last token of concurrent saves', async () => {
+    const store = new FileTokenStore(tokenFile)
+    await Promise.all([store.save({ ...token, refreshToken: '1' }), store.save({ ...token, refreshToken: '2' })])
+    expect((await store.load()).refreshToken).toStrictEqual('2')
+  })
+  test('should show a warn and return an empty token if file is invalid', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    fs.writeFileSync(tokenFile, '{')
+    const store = new FileTokenStore(tokenFile)
+    expect(await store.load()).toStrictEqual({})
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to read token file/))
+  })
+})
+
+describe('MQTT token store', () => {
+  const mqttClient = {
+    getFrameTopic: (subtopic) => `netatmo/${subtopic}`,
+    readRetained: jest.fn(),
+    publishRetained: jest.fn()
+  }
+
+  test('should throw error if no mqtt client is provided', () => {
+    expect(() => { new MqttTokenStore() }).toThrowError(new Error('MQTT client must be provided'))
+  })
+  test('should read the retained token', async () => {
+    mqttClient.readRetained.mockResolvedValue(JSON.stringify(token))
+    const store = new MqttTokenStore(mqttClient)
+    expect(await store.load()).toStrictEqual(token)
+    expect(mqttClient.readRetained).toHaveBeenCalledWith('token')
+  })
+  test('should return an empty token when nothing is retained', async () => {
+    mqttClient.readRetained.mockResolvedValue(null)
+    const store = new MqttTokenStore(mqttClient)
+    expect(await store.load()).toStrictEqual({})
+  })
+  test('should show a warn and return an empty token if payload is invalid', async () => {
+    const spy = jest.spyOn(logger, 'warn')
+    mqttClient.readRetained.mockResolvedValue('{')
+    const store = new MqttTokenStore(mqttClient)
+    expect(await store.load()).toStrictEqual({})
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to read token topic netatmo\/token/))
+  })
+  test('should publish the token retained', async () => {
+    const store = new MqttTokenStore(mqttClient, 'auth')
+    await store.save(token)
+    expect(mqttClient.publishRetained).toHaveBeenCalledWith('auth', JSON.stringify(token))
+  })
+})
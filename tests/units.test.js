@@ -0,0 +1,66 @@
+/* eslint-disable no-undef,no-new,camelcase */
+const { UNITS, UnitConverter } = require('../lib/units')
+const { eventEmitter } = require('../lib/utils')
+
+const measure = { temperature: 20, mintemp: -10, maxtemp: 25.3, humidity: 41, pressure: 1013.2, pressureabs: 1020, windstrength: 20, guststrength: 45, rain: 0.101, sumrain24: 25.4, timeutc: 1555677739 }
+
+describe('Create UnitConverter', () => {
+  test('should throw error on invalid unit', () => {
+    expect(() => { new UnitConverter({ temperature: 'K' }) }).toThrowError(new Error('Invalid temperature unit K'))
+    expect(() => { new UnitConverter({ light: 'lux' }) }).toThrowError(new Error('Invalid light unit lux'))
+  })
+  test('should list auto and the units of each quantity', () => {
+    expect(UNITS.wind).toStrictEqual(['auto', 'kmh', 'mph', 'ms', 'beaufort', 'knots'])
+  })
+})
+
+describe('Convert units', () => {
+  test('should keep Netatmo metric units by default', () => {
+    expect(new UnitConverter().convert({ ...measure })).toStrictEqual(measure)
+  })
+  test('should convert to imperial units', () => {
+    const converter = new UnitConverter({ temperature: 'F', pressure: 'inHg', wind: 'mph', rain: 'in' })
+    expect(converter.convert({ ...measure })).toStrictEqual({ ...measure, temperature: 68, mintemp: 14, maxtemp: 77.5, pressure: 29.92, pressureabs: 30.12, windstrength: 12.4, guststrength: 28, rain: 0.004, sumrain24: 1 })
+  })
+  test('should convert pressures to mmHg', () => {
+    expect(new UnitConverter({ pressure: 'mmHg' }).convert({ pressure: 1013.2 })).toStrictEqual({ pressure: 760 })
+  })
+  test('should convert wind speeds', () => {
+    expect(new UnitConverter({ wind: 'ms' }).convert({ windstrength: 36 })).toStrictEqual({ windstrength: 10 })
+    expect(new UnitConverter({ wind: 'knots' }).convert({ windstrength: 37.04 })).toStrictEqual({ windstrength: 20 })
+    const beaufort = new UnitConverter({ wind: 'beaufort' })
+    expect([0, 1, 5, 20, 117, 118, 200].map((windstrength) => beaufort.convert({ windstrength }).windstrength)).toStrictEqual([0, 1, 1, 4, 11, 12, 12])
+  })
+  test('should ignore missing values', () => {
+    expect(new UnitConverter({ temperature: 'F' }).convert({ temperature: null, humidity: 41 })).toStrictEqual({ temperature: null, humidity: 41 })
+  })
+  test('should convert temperatures back to metric', () => {
+    expect(new UnitConverter({ temperature: 'F' }).toMetric('temperature', 69.8)).toStrictEqual(21)
+    expect(new UnitConverter().toMetric('temperature', 21)).toStrictEqual(21)
+    expect(() => new UnitConverter().toMetric('wind', 10)).toThrow('Unable to convert wind values to metric')
+  })
+})
+
+describe('Account preferences', () => {
+  test('should follow the account preferences in auto mode', () => {
+    jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const converter = new UnitConverter({ temperature: 'auto', pressure: 'auto', wind: 'auto', rain: 'auto' })
+    converter.setPreferences({ unit: 1, windunit: 3, pressureunit: 2 })
+    expect(['temperature', 'pressure', 'wind', 'rain'].map((quantity) => converter.getUnit(quantity))).toStrictEqual(['F', 'mmHg', 'beaufort', 'in'])
+  })
+  test('should keep metric units until preferences are known', () => {
+    const converter = new UnitConverter({ temperature: 'auto', wind: 'auto' })
+    expect(converter.getUnit('temperature')).toStrictEqual('C')
+    converter.setPreferences({ unit: 9 })
+    expect(converter.getUnit('wind')).toStrictEqual('kmh')
+  })
+  test('should emit unit symbols when they change', () => {
+    const spy = jest.spyOn(eventEmitter, 'emit').mockImplementation(() => {})
+    const converter = new UnitConverter({ temperature: 'auto', wind: 'mph' })
+    converter.setPreferences({ unit: 0 })
+    converter.setPreferences({ unit: 0 })
+    converter.setPreferences({ unit: 1 })
+    expect(spy).toHaveBeenCalledTimes(2)
+    expect(spy).toHaveBeenLastCalledWith('units', expect.objectContaining({ temperature: '°F', maxtemp: '°F', pressure: 'mbar', windstrength: 'mph', sumrain24: 'mm' }))
+  })
+})